@@ -3,8 +3,17 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
-import { analyzePR } from './src/analyzer.js';
-import { postComments, deleteEmptyPendingReview } from './src/github.js';
+import { analyzePR, analyzePatch, getPatchReportName } from './src/analyzer.js';
+import { postComments, deleteEmptyPendingReview, resolveReviewEvent } from './src/github.js';
+import { writeRenderedReport, RENDER_FORMATS } from './src/render.js';
+import { writeSarif } from './src/sarif.js';
+import { triageReport } from './src/triage.js';
+import { formatSecurityFlags } from './src/checks/security.js';
+import { reviewAllPRs } from './src/batch.js';
+import { startWebhookServer } from './src/server.js';
+import { loadLocaleFiles } from './src/locale-files.js';
+import { suggestGlossary, loadGlossary, saveGlossary, DEFAULT_GLOSSARY_TERMS } from './src/glossary.js';
+import { listCacheEntries, clearCache, getCacheStats, isCommitSha } from './src/cache.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -13,19 +22,59 @@ dotenv.config();
 
 const program = new Command();
 
+/**
+ * Resolve the report path: bare filenames go into ai_validations/, paths are used as given
+ */
+function resolveOutputPath(output, defaultName) {
+  if (!output) {
+    return path.join('ai_validations', `${defaultName}.json`);
+  }
+  if (!output.includes('/') && !output.includes('\\')) {
+    return path.join('ai_validations', output);
+  }
+  return output;
+}
+
+/**
+ * Add the analysis options shared by every command that calls the AI
+ */
+function addProviderOptions(command) {
+  return command
+    .option('--provider <name>', 'LLM provider: openai, openai-compatible or mock (default: LLM_PROVIDER or openai)')
+    .option('--model <name>', 'Model name (default: LLM_MODEL or the provider default)')
+    .option('--base-url <url>', 'Base URL of the LLM API (default: LLM_BASE_URL)')
+    .option('--temperature <number>', 'Sampling temperature (default: LLM_TEMPERATURE or the model default)')
+    .option('--no-json-mode', 'Do not request JSON mode from the LLM')
+    .option('--mock-response <file>', 'Canned JSON response for the mock provider (default: LLM_MOCK_RESPONSE)')
+    .option('--chunked', 'Always split the AI analysis into token-budgeted chunks (automatic for large PRs)')
+    .option('--max-prompt-tokens <number>', 'Token budget per AI prompt before chunking (default: LLM_MAX_PROMPT_TOKENS or 60000)')
+    .option('--concurrency <number>', 'Number of chunks analyzed in parallel (default: LLM_CONCURRENCY or 3)')
+    .option('--full-context', 'Send the whole context.json in the prompt instead of per-string context')
+    .option('--sibling-locales <locales>', 'Comma-separated locales whose translations of the same key are shown to the AI (default: I18N_SIBLING_LOCALES or de,fr,es)')
+    .option('--structure-summary', 'Add a summary of missing, extra, duplicate and unsorted keys to the overall review comment')
+    .option('--memory-ref <ref>', 'Ref whose locale files form the translation memory (default: main, or the local checkout given with --repo)')
+    .option('--no-translation-memory', 'Do not compare added strings with the existing translations of the locale');
+}
+
 program
   .name('ghost-i18n-tooling')
   .description('Analyze Ghost PR changes and validate with AI')
   .version('1.0.0');
 
-program
-  .command('analyze <pr-number>')
+addProviderOptions(program.command('analyze <pr-number>'))
   .description('Analyze a specific PR and generate validation report')
   .option('-o, --output <file>', 'Output file for the report (relative to ai_validations/)', '')
   .option('-d, --dry-run', 'Run analysis without posting comments')
+  .option('--format <format>', 'Also render the report as md or html next to the JSON report')
+  .option('--sarif <file>', 'Also write the findings as SARIF 2.1.0 for code scanning')
+  .option('--full', 'Analyze every line again instead of only the lines added since the last analyzed commit')
   .option('--debug', 'Verbose logging – show full AI requests and responses')
   .action(async (prNumber, options) => {
     try {
+      if (options.format && !RENDER_FORMATS[options.format]) {
+        throw new Error(`Unknown format "${options.format}" (use ${Object.keys(RENDER_FORMATS).join(' or ')})`);
+      }
+
       console.log(chalk.blue(`🔍 Analyzing PR #${prNumber}...`));
       
       // Ensure ai_validations directory exists
@@ -33,12 +82,7 @@ program
       await fs.mkdir(aiValidationsDir, { recursive: true });
       
       // Set default output path if not specified
-      if (!options.output) {
-        options.output = path.join('ai_validations', `${prNumber}.json`);
-      } else if (!options.output.includes('/') && !options.output.includes('\\')) {
-        // If just a filename is provided, put it in ai_validations
-        options.output = path.join('ai_validations', options.output);
-      }
+      options.output = resolveOutputPath(options.output, prNumber);
       
       const report = await analyzePR(prNumber, options);
       
@@ -48,6 +92,16 @@ program
         console.log(chalk.green('✅ Analysis complete!'));
         console.log(chalk.cyan(`📊 Report saved to: ${options.output}`));
       }
+
+      if (report && options.format) {
+        const renderedFile = await writeRenderedReport(options.output, options.format);
+        console.log(chalk.cyan(`📄 Rendered report saved to: ${renderedFile}`));
+      }
+
+      if (report && options.sarif) {
+        await writeSarif(report, options.sarif);
+        console.log(chalk.cyan(`📄 SARIF saved to: ${options.sarif}`));
+      }
       
     } catch (error) {
       console.error(chalk.red('❌ Error:'), error.message);
@@ -55,15 +109,61 @@ program
     }
   });
 
+addProviderOptions(program.command('analyze-patch [patch-file]'))
+  .description('Analyze a local patch file or git range instead of a live GitHub PR')
+  .option('-r, --range <base..head>', 'Analyze a git range in a local Ghost checkout instead of a patch file')
+  .option('--repo <path>', 'Path to a local Ghost checkout (required for --range, optional for patch files)')
+  .option('-o, --output <file>', 'Output file for the report (relative to ai_validations/)', '')
+  .option('--sarif <file>', 'Also write the findings as SARIF 2.1.0 for code scanning')
+  .option('--debug', 'Verbose logging – show full AI requests and responses')
+  .action(async (patchFile, options) => {
+    try {
+      if (!patchFile && !options.range) {
+        throw new Error('Please pass a patch file or --range <base..head>');
+      }
+      if (patchFile && options.range) {
+        throw new Error('Please pass either a patch file or --range, not both');
+      }
+
+      const source = options.range || patchFile;
+      console.log(chalk.blue(`🔍 Analyzing ${source}...`));
+
+      const aiValidationsDir = path.join(process.cwd(), 'ai_validations');
+      await fs.mkdir(aiValidationsDir, { recursive: true });
+
+      options.patchFile = patchFile;
+      options.output = resolveOutputPath(options.output, getPatchReportName(options));
+
+      const report = await analyzePatch(options);
+
+      if (report) {
+        console.log(chalk.green('✅ Analysis complete!'));
+        console.log(chalk.cyan(`📊 Report saved to: ${options.output}`));
+
+        if (options.sarif) {
+          await writeSarif(report, options.sarif);
+          console.log(chalk.cyan(`📄 SARIF saved to: ${options.sarif}`));
+        }
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('post <pr-number>')
   .description('Post approved comments from a report to a PR')
-  .action(async (prNumber) => {
+  .option('--event <event>', 'Submit the review instead of leaving a draft: comment, approve, request-changes or auto')
+  .action(async (prNumber, options) => {
     try {
+      resolveReviewEvent(options.event, []);
+
       const reportFile = `ai_validations/${prNumber}.json`;
       console.log(chalk.blue(`📤 Posting comments to PR #${prNumber} from ${reportFile}...`));
       
-      await postComments(prNumber, reportFile);
+      await postComments(prNumber, reportFile, { event: options.event });
       
       console.log(chalk.green('✅ Comments posted successfully!'));
       
@@ -73,13 +173,18 @@ program
     }
   });
 
-program
-  .command('review <pr-number>')
+addProviderOptions(program.command('review <pr-number>'))
   .description('Analyze a PR and post comments in one step')
   .option('-d, --dry-run', 'Run analysis without posting comments')
+  .option('--event <event>', 'Submit the review instead of leaving a draft: comment, approve, request-changes or auto')
+  .option('--full', 'Analyze every line again instead of only the lines added since the last analyzed commit')
+  .option('--force', 'Post even if the security scan flagged strings')
   .option('--debug', 'Verbose logging – show full AI requests and responses')
   .action(async (prNumber, options) => {
     try {
+      // Fail on a mistyped event before spending an AI call
+      resolveReviewEvent(options.event, []);
+
       console.log(chalk.blue(`🔍 Starting full review process for PR #${prNumber}...`));
       
       // Step 1: Analyze
@@ -95,10 +200,15 @@ program
       if (options.dryRun) {
         console.log(chalk.yellow('\n📝 Dry run mode - skipping comment posting'));
         console.log(chalk.blue(`📊 Report saved to: ai_validations/${prNumber}.json`));
+      } else if (report.securityFlags && report.securityFlags.length > 0 && !options.force) {
+        console.log(chalk.red(`\n🚨 Not posting: the security scan flagged ${report.securityFlags.length} strings:`));
+        console.log(chalk.red(formatSecurityFlags(report.securityFlags)));
+        console.log(chalk.yellow(`Check the PR by hand, then post with \`post ${prNumber}\` or re-run with --force.`));
+        process.exitCode = 1;
       } else {
         console.log(chalk.cyan('\n📤 Step 2: Posting comments...'));
         const reportFile = `ai_validations/${prNumber}.json`;
-        await postComments(prNumber, reportFile);
+        await postComments(prNumber, reportFile, { event: options.event });
         console.log(chalk.green('\n✅ Full review process completed!'));
       }
       
@@ -108,6 +218,104 @@ program
     }
   });
 
+program
+  .command('triage <pr-number>')
+  .description('Accept, reject or edit the comments of a report before posting them')
+  .option('-i, --input <file>', 'Report to triage (default: ai_validations/<pr-number>.json)')
+  .option('--all', 'Also revisit comments that already have a decision')
+  .action(async (prNumber, options) => {
+    try {
+      const reportFile = options.input || resolveOutputPath('', prNumber);
+      console.log(chalk.blue(`📋 Triaging ${reportFile}...`));
+
+      const counts = await triageReport(reportFile, options);
+
+      if (counts.accepted + counts.rejected > 0) {
+        console.log(chalk.green(`✅ Decisions saved to ${reportFile}. Only accepted comments will be posted.`));
+      } else {
+        console.log(chalk.yellow(`⚠️  No decisions recorded; all comments of ${reportFile} will be posted.`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('render <pr-number>')
+  .description('Render a report as Markdown or a self-contained HTML page')
+  .option('-f, --format <format>', 'Output format: md or html', 'md')
+  .option('-i, --input <file>', 'Report to render (default: ai_validations/<pr-number>.json)')
+  .option('-o, --output <file>', 'Output file (default: the report path with a .md or .html extension)')
+  .action(async (prNumber, options) => {
+    try {
+      const reportFile = options.input || resolveOutputPath('', prNumber);
+      console.log(chalk.blue(`📄 Rendering ${reportFile} as ${options.format}...`));
+
+      const renderedFile = await writeRenderedReport(reportFile, options.format, options.output);
+
+      console.log(chalk.green(`✅ Rendered report saved to: ${renderedFile}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+addProviderOptions(program.command('review-all'))
+  .description('Analyze and post comments on every open PR that changes locale files')
+  .option('--label <labels>', 'Only PRs with one of these comma-separated labels')
+  .option('--author <logins>', 'Only PRs by one of these comma-separated GitHub users')
+  .option('--locale <locales>', 'Only PRs that change one of these comma-separated locales')
+  .option('--pr-concurrency <number>', 'Number of PRs analyzed in parallel', '2')
+  .option('--force', 'Also analyze PRs whose head commit was already analyzed, from scratch')
+  .option('--full', 'Analyze every line again instead of only the lines added since the last analyzed commit')
+  .option('-d, --dry-run', 'Run analysis without posting comments')
+  .option('--event <event>', 'Submit the reviews instead of leaving drafts: comment, approve, request-changes or auto')
+  .option('--debug', 'Verbose logging – show full AI requests and responses')
+  .action(async (options) => {
+    try {
+      resolveReviewEvent(options.event, []);
+      if (!/^[1-9]\d*$/.test(String(options.prConcurrency).trim())) {
+        throw new Error(`--pr-concurrency must be a positive whole number, not "${options.prConcurrency}"`);
+      }
+
+      console.log(chalk.blue(`🔍 Reviewing open i18n PRs in ${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}...`));
+      await fs.mkdir(path.join(process.cwd(), 'ai_validations'), { recursive: true });
+
+      const rows = await reviewAllPRs(options);
+
+      if (rows.some(row => row.status.startsWith('failed'))) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+addProviderOptions(program.command('serve'))
+  .description('Start a webhook server that reviews i18n PRs when they are opened or updated')
+  .option('-p, --port <number>', 'Port to listen on (default: PORT or 3000)')
+  .option('--no-verify', 'Accept webhooks without a valid signature (local testing only)')
+  .option('-d, --dry-run', 'Run analysis without posting comments')
+  .option('--event <event>', 'Submit the reviews instead of leaving drafts: comment, approve, request-changes or auto')
+  .option('--debug', 'Verbose logging – show full AI requests and responses')
+  .action(async (options) => {
+    try {
+      resolveReviewEvent(options.event, []);
+      await fs.mkdir(path.join(process.cwd(), 'ai_validations'), { recursive: true });
+
+      await startWebhookServer({
+        ...options,
+        port: parseInt(options.port || process.env.PORT || '3000', 10),
+        secret: process.env.GITHUB_WEBHOOK_SECRET,
+      });
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('clean-pending <pr-number>')
   .description('Delete an empty pending review for a PR (if it exists)')
@@ -120,4 +328,113 @@ program
     }
   });
 
+const glossary = program
+  .command('glossary')
+  .description('Manage per-locale glossaries in rules/glossary/');
+
+glossary
+  .command('suggest <lang>')
+  .description('Derive candidate glossary entries from the existing locale files')
+  .option('--ref <ref>', 'Git ref to read the locale files from on GitHub', 'main')
+  .option('--repo <path>', 'Read the locale files from a local Ghost checkout instead of GitHub')
+  .option('--terms <terms>', 'Comma-separated English terms to look for (default: common Ghost terms)')
+  .option('--write', 'Add the top candidate for new terms to rules/glossary/<lang>.json')
+  .action(async (lang, options) => {
+    try {
+      console.log(chalk.blue(`📖 Deriving glossary candidates for ${lang}...`));
+      const source = options.repo ? { repo: options.repo } : { ref: options.ref };
+      const englishFiles = await loadLocaleFiles('en', source);
+      const localeFiles = await loadLocaleFiles(lang, source);
+      const terms = options.terms
+        ? options.terms.split(',').map(term => term.trim()).filter(Boolean)
+        : DEFAULT_GLOSSARY_TERMS;
+
+      const suggestions = suggestGlossary(englishFiles, localeFiles, terms);
+      for (const suggestion of suggestions) {
+        const candidates = suggestion.candidates
+          .map(candidate => `${candidate.word} (${Math.round(candidate.coverage * 100)}%)`)
+          .join(', ');
+        console.log(`${chalk.cyan(suggestion.term.padEnd(16))} ${candidates || chalk.gray('no candidates')} ${chalk.gray(`– ${suggestion.strings} strings`)}`);
+      }
+
+      if (options.write) {
+        const existing = await loadGlossary(lang) || {};
+        let added = 0;
+        for (const suggestion of suggestions) {
+          if (!existing[suggestion.term] && suggestion.candidates.length > 0) {
+            existing[suggestion.term] = { approved: [suggestion.candidates[0].word], forbidden: [] };
+            added++;
+          }
+        }
+        const file = await saveGlossary(lang, existing);
+        console.log(chalk.green(`✅ Added ${added} terms to ${file}`));
+        console.log(chalk.yellow('⚠️  Candidates are derived automatically - please have a native speaker review them'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const cache = program
+  .command('cache')
+  .description('Manage the cache of files fetched from GitHub');
+
+cache
+  .command('list')
+  .description('List cached files')
+  .action(async () => {
+    try {
+      const entries = await listCacheEntries();
+      if (entries.length === 0) {
+        console.log(chalk.yellow('📭 The cache is empty'));
+        return;
+      }
+      for (const entry of entries) {
+        const ref = isCommitSha(entry.ref) ? entry.ref.substring(0, 7) : entry.ref;
+        const details = entry.missing ? 'missing' : `${entry.size} bytes`;
+        console.log(`${chalk.cyan(`${entry.owner}/${entry.repo}`)} ${entry.path} ${chalk.gray(`@${ref}`)} ${chalk.gray(`(${details}, fetched ${entry.fetchedAt})`)}`);
+      }
+      console.log(chalk.blue(`\n📦 ${entries.length} cached files`));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+cache
+  .command('clear')
+  .description('Remove cached files (all of them unless filtered)')
+  .option('--ref <ref>', 'Only remove files cached at this ref')
+  .option('--path <path>', 'Only remove this repository path')
+  .action(async (options) => {
+    try {
+      const removed = await clearCache({ ref: options.ref, path: options.path });
+      console.log(chalk.green(`✅ Removed ${removed.entries} cache entries and ${removed.blobs} blobs`));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+cache
+  .command('stats')
+  .description('Show cache statistics')
+  .action(async () => {
+    try {
+      const stats = await getCacheStats();
+      console.log(chalk.blue('📦 Cache statistics'));
+      console.log(chalk.gray(`   Entries: ${stats.entries} (${stats.pinned} pinned to a commit, ${stats.branch} on branches, ${stats.missing} missing files)`));
+      console.log(chalk.gray(`   Blobs: ${stats.blobs} (${(stats.bytes / 1024).toFixed(1)} KB)`));
+      if (stats.oldest) {
+        console.log(chalk.gray(`   Oldest fetch: ${stats.oldest}`));
+        console.log(chalk.gray(`   Newest fetch: ${stats.newest}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse(); 
\ No newline at end of file
@@ -1,31 +1,48 @@
 import { Octokit } from '@octokit/rest';
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { extractAddedLinesWithRelativeNumbers } from './diff-util.js';
+import { runChecks, loadCheckContext } from './checks/index.js';
+import { checkJsonSyntax } from './checks/json-syntax.js';
+import { collectSecurityFlags } from './checks/security.js';
+import { getPluralEnglish } from './checks/plurals.js';
+import { buildCompositions, formatCompositions } from './compositions.js';
+import { loadRulesFile } from './rules.js';
+import { compareStructure, countStructureIssues, formatStructureSummary } from './checks/structure.js';
+import { parseLocalePath, getEnglishPath, parseJsonObject, parseTranslationLine } from './locale-util.js';
+import { estimateTokens, chunkFileChanges, getContextEntries, getNearbyLines } from './chunking.js';
+import { buildKeyContexts, formatFileKeyContexts, getKeyContextId, loadSiblingTranslations, parseSiblingLocales } from './key-context.js';
+import { mapWithConcurrency } from './async-util.js';
+import { createProvider, resolveProviderConfig } from './providers/index.js';
+import { fetchRepoFile } from './cache.js';
+import { readPatchFile, readGitRange, readGitFile, resolveGitRef, mergePatchFiles } from './patch-source.js';
+import { loadPreviousReport, getLinesChangedSince, isNewLine, carryForwardComments, carryForwardTriage } from './incremental.js';
 
 // Load environment variables first
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Initialize APIs
 const octokit = new Octokit({
   auth: process.env.GITHUB_TOKEN,
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// context.json is always read from the default branch, revalidated through the cache
+const CONTEXT_REF = 'main';
+
+// Files analyzed by the tool; everything else in a PR is skipped
+export const I18N_FILE_PATTERN = /^ghost\/i18n\/locales\/.*\.json$/;
 
-// Cache for context.json file (24-hour expiration)
-const CACHE_DIR = path.join(__dirname, '..', 'cache');
-const CONTEXT_CACHE_FILE = path.join(CACHE_DIR, 'context.json');
-const CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+// Categories the AI assigns to its comments
+const AI_CATEGORIES = ['typo', 'grammar', 'accuracy', 'punctuation', 'variables', 'formality', 'consistency', 'other'];
+
+const CACHE_STATUS_LABELS = {
+  hit: 'from cache',
+  revalidated: 'from cache, unchanged on GitHub',
+  stale: 'from cache, GitHub unreachable',
+  fetched: 'from GitHub',
+};
 
 export async function analyzePR(prNumber, options = {}) {
   console.log(chalk.blue('📋 Fetching PR data...'));
@@ -48,10 +65,159 @@ export async function analyzePR(prNumber, options = {}) {
 
   console.log(chalk.blue(`📁 Found ${files.length} changed files`));
 
+  // After new commits, only send the lines added since the last analyzed head to the AI
+  const output = options.output || path.join('ai_validations', `${prNumber}.json`);
+  let incremental = null;
+  const previousReport = options.full ? null : await loadPreviousReport(output, parseInt(prNumber));
+  if (previousReport) {
+    if (previousReport.headSha === pr.head.sha) {
+      console.log(chalk.green(`✅ ${output} is up to date with ${pr.head.sha.substring(0, 7)}; use --full to analyze the PR again`));
+      return previousReport;
+    }
+    const linesChangedSince = await getLinesChangedSince(previousReport.headSha, pr.head.sha);
+    if (linesChangedSince) {
+      incremental = { previousReport, linesChangedSince };
+    }
+  }
+
+  return analyzeChangeSet({
+    prNumber: parseInt(prNumber),
+    prTitle: pr.title,
+    prUrl: pr.html_url,
+    headSha: pr.head.sha,
+    files,
+    getFileContent: filename => getCurrentFileContent(filename, pr),
+    getContextContent: () => {
+      console.log(chalk.blue('📖 Fetching context.json...'));
+      return getOriginalFileContent('ghost/i18n/locales/context.json');
+    },
+    incremental
+  }, {
+    ...options,
+    output
+  });
+}
+
+/**
+ * Analyze a local unified diff instead of a live GitHub PR.
+ * Either `options.patchFile` or `options.range` (with `options.repo` pointing at a local
+ * Ghost checkout) must be given. No GitHub token is needed unless context.json has to be
+ * fetched because no local checkout is available.
+ */
+export async function analyzePatch(options = {}) {
+  let files;
+  let title;
+  let getFileContent;
+  let getContextContent;
+
+  if (options.range) {
+    const repoPath = options.repo || '.';
+    const [, headRef = 'HEAD'] = options.range.split(/\.\.\.?/);
+
+    console.log(chalk.blue(`📋 Reading ${options.range} from ${repoPath}...`));
+    files = await readGitRange(repoPath, options.range);
+    const headSha = await resolveGitRef(repoPath, headRef);
+    title = `Local range ${options.range}`;
+
+    getFileContent = filename => readLocalFile(() => readGitFile(repoPath, headSha, filename));
+    getContextContent = () => {
+      console.log(chalk.blue(`📖 Reading context.json at ${headRef}...`));
+      return readLocalFile(() => readGitFile(repoPath, headSha, 'ghost/i18n/locales/context.json'));
+    };
+  } else if (options.patchFile) {
+    console.log(chalk.blue(`📋 Reading patch ${options.patchFile}...`));
+    files = mergeSeriesFiles(await readPatchFile(options.patchFile));
+    title = `Local patch ${path.basename(options.patchFile)}`;
+
+    if (options.repo) {
+      // The patch is assumed to be applied to the working tree of the checkout
+      getFileContent = filename => readLocalFile(() => fs.readFile(path.join(options.repo, filename), 'utf8'));
+      getContextContent = () => {
+        console.log(chalk.blue(`📖 Reading context.json from ${options.repo}...`));
+        return readLocalFile(() => fs.readFile(path.join(options.repo, 'ghost/i18n/locales/context.json'), 'utf8'));
+      };
+    } else {
+      getFileContent = async () => null;
+      getContextContent = () => {
+        console.log(chalk.blue('📖 Fetching context.json...'));
+        return getOriginalFileContent('ghost/i18n/locales/context.json');
+      };
+    }
+  } else {
+    throw new Error('Either a patch file or a git range is required');
+  }
+
+  console.log(chalk.blue(`📁 Found ${files.length} changed files`));
+
+  return analyzeChangeSet({
+    prNumber: null,
+    prTitle: title,
+    prUrl: null,
+    source: options.range
+      ? { type: 'range', range: options.range, repo: path.resolve(options.repo || '.') }
+      : { type: 'patch', file: path.resolve(options.patchFile) },
+    ...(options.repo ? { localeSource: { repo: path.resolve(options.repo) } } : {}),
+    files,
+    getFileContent,
+    getContextContent
+  }, {
+    ...options,
+    output: options.output || path.join('ai_validations', `${getPatchReportName(options)}.json`)
+  });
+}
+
+/**
+ * The report name used for a local patch or range, e.g. `fr-update` or `main_my-branch`
+ */
+export function getPatchReportName(options) {
+  if (options.range) {
+    return options.range.replace(/\.\.\.?/, '_').replace(/[^\w.-]+/g, '-');
+  }
+  return path.basename(options.patchFile, path.extname(options.patchFile));
+}
+
+/**
+ * Merge the patches of files a `git format-patch` series touches more than once
+ */
+function mergeSeriesFiles(files) {
+  const merged = mergePatchFiles(files);
+  for (const file of merged.filter(entry => entry.mergedPatches)) {
+    console.log(chalk.gray(`    ${file.filename} appears in ${file.mergedPatches} patches; their added lines are analyzed together.`));
+  }
+  return merged;
+}
+
+/**
+ * Where the translation memory is built from: an explicit --memory-ref, the local checkout
+ * of a patch or range, or the main branch on GitHub
+ */
+function getMemorySource(changeSet, options) {
+  if (options.translationMemory === false) {
+    return null;
+  }
+  if (options.memoryRef) {
+    return { ref: options.memoryRef };
+  }
+  return changeSet.localeSource || { ref: CONTEXT_REF };
+}
+
+async function readLocalFile(read) {
+  try {
+    const content = await read();
+    console.log(chalk.gray(`    ✅ Found local file content (${content.length} characters)`));
+    return content;
+  } catch (error) {
+    console.log(chalk.yellow(`    ⚠️  Could not read local file content: ${error.message.split('\n')[0]}`));
+    return null;
+  }
+}
+
+async function analyzeChangeSet(changeSet, options) {
+  const { files, getFileContent, getContextContent } = changeSet;
+
   // Filter for i18n locale files only
-  const i18nPattern = /^ghost\/i18n\/locales\/.*\.json$/;
-  const relevantFiles = files.filter(file => i18nPattern.test(file.filename));
-  const nonI18nFiles = files.filter(file => !i18nPattern.test(file.filename));
+  const relevantFiles = files.filter(file => I18N_FILE_PATTERN.test(file.filename));
+  const nonI18nFiles = files.filter(file => !I18N_FILE_PATTERN.test(file.filename));
 
   // Display information about non-i18n files
   if (nonI18nFiles.length > 0) {
@@ -63,7 +229,7 @@ export async function analyzePR(prNumber, options = {}) {
   }
 
   if (relevantFiles.length === 0) {
-    console.log(chalk.red('❌ No i18n locale files found in this PR.'));
+    console.log(chalk.red(`❌ No i18n locale files found in this ${changeSet.prNumber ? 'PR' : 'diff'}.`));
     console.log(chalk.blue('   This tool only analyzes files matching: ghost/i18n/locales/**/**.json'));
     return null;
   }
@@ -72,12 +238,14 @@ export async function analyzePR(prNumber, options = {}) {
 
   const analysisResults = [];
 
-  // Get context.json once for all files (cached for 24 hours)
-  console.log(chalk.blue('📖 Fetching context.json (will be cached for 24 hours)...'));
-  const contextContent = await getOriginalFileContent('ghost/i18n/locales/context.json');
+  // Get context.json once for all files
+  const contextContent = await getContextContent();
 
   // Collect all file changes for consolidated AI analysis
   const allFileChanges = [];
+
+  // English source files at the same ref, shared by all locales of a namespace
+  const englishContentByNamespace = new Map();
   
   for (const file of relevantFiles) {
     console.log(chalk.cyan(`  📄 ${file.filename}`));
@@ -99,7 +267,29 @@ export async function analyzePR(prNumber, options = {}) {
     console.log(chalk.cyan(`    📝 Found ${addedLines.length} added lines to analyze`));
 
     // Get the current file content from the PR for context
-    const currentFileContent = await getCurrentFileContent(file.filename, pr);
+    const currentFileContent = await getFileContent(file.filename);
+
+    // Get the English source file of the same namespace for structural comparisons
+    const localePath = parseLocalePath(file.filename);
+    let englishFileContent = null;
+    if (localePath && localePath.locale !== 'en') {
+      if (!englishContentByNamespace.has(localePath.namespace)) {
+        englishContentByNamespace.set(localePath.namespace, await getFileContent(getEnglishPath(localePath.namespace)));
+      }
+      englishFileContent = englishContentByNamespace.get(localePath.namespace);
+    }
+
+    // Keep the English source of every added string with its line for the rendered reports
+    const english = parseJsonObject(englishFileContent);
+    for (const line of addedLines) {
+      const pair = parseTranslationLine(line.content);
+      if (pair) {
+        // Plural variants the English file does not have, such as `_few`, use its `_other` form
+        line.english = typeof english[pair.key] === 'string' && english[pair.key] !== ''
+          ? english[pair.key]
+          : getPluralEnglish(english, pair.key) ?? pair.key;
+      }
+    }
 
     allFileChanges.push({
       filename: file.filename,
@@ -107,22 +297,107 @@ export async function analyzePR(prNumber, options = {}) {
       additions: file.additions,
       deletions: file.deletions,
       changedLines: changedLines,
-      currentFileContent: currentFileContent
+      currentFileContent: currentFileContent,
+      englishFileContent: englishFileContent
     });
   }
 
+  // Load glossaries and the translation memory of the already-merged locale files
+  const checkContext = await loadCheckContext(allFileChanges, {
+    memorySource: getMemorySource(changeSet, options)
+  });
+
+  // Look up the context.json description, English source and sibling translations of each added key
+  let keyContexts = new Map();
+  if (!options.fullContext) {
+    const siblingLocales = parseSiblingLocales(options.siblingLocales ?? process.env.I18N_SIBLING_LOCALES);
+    const siblingsByNamespace = await loadSiblingTranslations(allFileChanges, getFileContent, siblingLocales);
+    keyContexts = buildKeyContexts(allFileChanges, parseJsonObject(contextContent), siblingsByNamespace, checkContext.memoryMatches);
+  }
+
+  // Compare the keys of every translated file with its English source
+  const structureResults = collectStructureResults(allFileChanges);
+
+  // Files that are no longer valid JSON get a blocking comment and are kept out of the AI call
+  const syntaxComments = [];
+  for (const fileChange of allFileChanges) {
+    const syntax = checkJsonSyntax(fileChange);
+    if (syntax) {
+      fileChange.jsonError = syntax.error;
+      console.log(chalk.red(`  ❌ ${fileChange.filename} is not valid JSON: ${syntax.error.message} (line ${syntax.error.line}, column ${syntax.error.column})`));
+      if (syntax.comment) {
+        syntaxComments.push(syntax.comment);
+      }
+    }
+  }
+
+  // Render the sentences that embed other translated strings, e.g. %%{status}%%
+  const compositionRules = await loadRulesFile('compositions.json');
+  for (const fileChange of allFileChanges) {
+    fileChange.compositions = fileChange.jsonError ? [] : buildCompositions(fileChange, compositionRules);
+  }
+
+  // Run the deterministic checks first so their findings survive an AI failure
+  const ruleComments = [...syntaxComments, ...runChecks(allFileChanges, checkContext)];
+  if (ruleComments.length > 0) {
+    console.log(chalk.yellow(`⚠️  Rule-based checks found ${ruleComments.length} issues`));
+  }
+
   // Analyze all files together with a single AI call
-  const aiAnalysis = await analyzeAllFilesWithAI(allFileChanges, pr.title, pr, contextContent, options.debug || process.env.DEBUG === 'true');
+  const providerConfig = resolveProviderConfig(options);
+  const provider = options.llmProvider || createProvider(providerConfig);
+  let aiFileChanges = allFileChanges.filter(fileChange => !fileChange.jsonError);
+
+  const { incremental } = changeSet;
+  if (incremental) {
+    const totalAdded = aiFileChanges.reduce((sum, fileChange) => sum + fileChange.changedLines.filter(line => line.type === 'added').length, 0);
+    aiFileChanges = aiFileChanges
+      .map(fileChange => ({
+        ...fileChange,
+        changedLines: fileChange.changedLines.filter(line => line.type !== 'added' || isNewLine(incremental.linesChangedSince, fileChange.filename, line))
+      }))
+      .filter(fileChange => fileChange.changedLines.some(line => line.type === 'added'));
+    const newAdded = aiFileChanges.reduce((sum, fileChange) => sum + fileChange.changedLines.filter(line => line.type === 'added').length, 0);
+    console.log(chalk.blue(`🔁 Incremental analysis since ${incremental.previousReport.headSha.substring(0, 7)}: ${newAdded} of ${totalAdded} added lines are new`));
+  }
+
+  const aiAnalysis = incremental && aiFileChanges.length === 0
+    ? { comments: [], overall: null }
+    : await analyzeAllFilesWithAI(aiFileChanges, changeSet.prTitle, contextContent, provider, {
+      debug: options.debug || process.env.DEBUG === 'true',
+      chunked: options.chunked,
+      fullContext: options.fullContext,
+      keyContexts,
+      maxPromptTokens: providerConfig.maxPromptTokens,
+      concurrency: providerConfig.concurrency
+    });
+
+  // Keep the earlier AI comments on unchanged lines, and resolve those on rewritten lines
+  const carried = incremental
+    ? carryForwardComments(incremental.previousReport, allFileChanges, incremental.linesChangedSince, changeSet.headSha)
+    : { comments: [], resolvedByFile: new Map() };
+  if (incremental) {
+    carryForwardTriage(incremental.previousReport, ruleComments, allFileChanges);
+  }
 
   // Generate the overall comment for the entire PR (not per file)
   let overallComment = "My AI helper 🤖 left you a few comments.  I always believe the human over the AI, so feel free to disregard them after you take a careful look! \n\n Leave me a comment when you're satisfied with everything, please. :) ";
   if (aiAnalysis.overall) {
     overallComment += `\n\n🤖 AI: ${aiAnalysis.overall}`;
   }
+  for (const fileChange of allFileChanges.filter(f => f.jsonError)) {
+    overallComment += `\n\n❌ \`${fileChange.filename}\` is not valid JSON (${fileChange.jsonError.message} on line ${fileChange.jsonError.line}), so it was not checked by the AI. Please fix the syntax error first.`;
+  }
+  if (options.structureSummary) {
+    const structureSummary = formatStructureSummary(structureResults);
+    if (structureSummary) {
+      overallComment += `\n\n${structureSummary}`;
+    }
+  }
 
   // Process AI analysis results back into file-specific format
   for (const fileChange of allFileChanges) {
-    const fileComments = aiAnalysis.comments.filter(comment => 
+    const fileComments = [...ruleComments, ...carried.comments, ...aiAnalysis.comments].filter(comment => 
       comment.filename === fileChange.filename
     );
     
@@ -133,38 +408,98 @@ export async function analyzePR(prNumber, options = {}) {
       deletions: fileChange.deletions,
       changedLines: fileChange.changedLines,
       comments: fileComments,
+      memoryMatches: fileChange.changedLines
+        .map(line => {
+          const match = checkContext.memoryMatches.get(getKeyContextId(fileChange.filename, line.diffPosition));
+          return match ? { diffPosition: line.diffPosition, ...match } : null;
+        })
+        .filter(Boolean),
+      ...(fileChange.compositions.length > 0 ? { compositions: fileChange.compositions } : {}),
+      ...(fileChange.jsonError ? { jsonError: fileChange.jsonError } : {}),
+      ...(carried.resolvedByFile.has(fileChange.filename) ? { resolvedComments: carried.resolvedByFile.get(fileChange.filename) } : {}),
     });
   }
 
   // Generate report
   const report = {
-    prNumber: parseInt(prNumber),
-    prTitle: pr.title,
-    prUrl: pr.html_url,
+    prNumber: changeSet.prNumber,
+    prTitle: changeSet.prTitle,
+    prUrl: changeSet.prUrl,
+    ...(changeSet.headSha ? { headSha: changeSet.headSha } : {}),
+    ...(changeSet.source ? { source: changeSet.source } : {}),
     analyzedAt: new Date().toISOString(),
     files: analysisResults,
     skippedFiles: nonI18nFiles.map(f => ({ filename: f.filename, status: f.status })),
     overallComment: overallComment,
+    structure: structureResults,
+    // Possible defacement; `review` and the batch and webhook runs do not post while this is not empty
+    securityFlags: collectSecurityFlags(analysisResults),
+    ...(incremental ? {
+      incremental: {
+        baseSha: incremental.previousReport.headSha,
+        carriedComments: carried.comments.length,
+        resolvedComments: [...carried.resolvedByFile.values()].reduce((sum, resolved) => sum + resolved.filter(comment => comment.resolvedIn === changeSet.headSha).length, 0),
+      },
+    } : {}),
     summary: {
       totalFiles: files.length,
       i18nFiles: relevantFiles.length,
       skippedFiles: nonI18nFiles.length,
       filesWithComments: analysisResults.filter(r => r.comments && r.comments.length > 0).length,
       totalComments: analysisResults.reduce((sum, r) => sum + (r.comments ? r.comments.length : 0), 0),
+      structureIssues: structureResults.reduce((sum, r) => sum + (r.skipped ? 0 : countStructureIssues(r)), 0),
     }
   };
 
   // Save report
-  const outputFile = options.output || path.join('ai_validations', `${prNumber}.json`);
+  const outputFile = options.output;
   await fs.writeFile(outputFile, JSON.stringify(report, null, 2));
   
   console.log(chalk.green(`📊 Analysis complete! Found ${report.summary.totalComments} potential comments in ${report.summary.i18nFiles} i18n files`));
+  if (report.securityFlags.length > 0) {
+    console.log(chalk.red(`🚨 The security scan flagged ${report.securityFlags.length} strings`));
+  }
   
   return report;
 }
 
 
 
+function collectStructureResults(allFileChanges) {
+  const structureResults = [];
+
+  for (const fileChange of allFileChanges) {
+    const localePath = parseLocalePath(fileChange.filename);
+    if (!localePath || localePath.locale === 'en') {
+      continue;
+    }
+
+    const englishFile = getEnglishPath(localePath.namespace);
+    if (!fileChange.currentFileContent || !fileChange.englishFileContent) {
+      structureResults.push({
+        filename: fileChange.filename,
+        englishFile,
+        skipped: 'File content or English source not available'
+      });
+      continue;
+    }
+
+    const structure = compareStructure(fileChange.currentFileContent, fileChange.englishFileContent);
+    const issueCount = countStructureIssues(structure);
+    if (issueCount > 0) {
+      console.log(chalk.yellow(`  ⚠️  ${fileChange.filename}: ${structure.missingKeys.length} missing, ${structure.extraKeys.length} extra, ${structure.duplicateKeys.length} duplicate and ${structure.unsortedKeys.length} unsorted keys`));
+    }
+
+    structureResults.push({
+      filename: fileChange.filename,
+      englishFile,
+      ...structure
+    });
+  }
+
+  return structureResults;
+}
+
 function extractChangedLines(diff) {
   // Use the shared diff utility to get added lines with relative line numbers
   const addedLines = extractAddedLinesWithRelativeNumbers(diff);
@@ -209,74 +544,52 @@ function extractChangedLines(diff) {
 
 export async function getOriginalFileContent(filename) {
   try {
-    // Ensure cache directory exists
-    await fs.mkdir(CACHE_DIR, { recursive: true });
-    
-    // Check if we have a valid cached version
-    const now = Date.now();
-    try {
-      const stats = await fs.stat(CONTEXT_CACHE_FILE);
-      const age = now - stats.mtime.getTime();
-      
-      if (age < CACHE_EXPIRY) {
-        const cachedContent = await fs.readFile(CONTEXT_CACHE_FILE, 'utf8');
-        console.log(chalk.gray(`    📖 Using cached context.json (${cachedContent.length} characters)`));
-        return cachedContent;
-      }
-    } catch (error) {
-      // Cache file doesn't exist or is invalid, will fetch fresh
+    const { content, status } = await fetchRepoFile(octokit, {
+      owner: process.env.GITHUB_OWNER || 'TryGhost',
+      repo: process.env.GITHUB_REPO || 'Ghost',
+      path: filename,
+      ref: CONTEXT_REF
+    });
+
+    if (content === null) {
+      console.log(chalk.yellow(`    ⚠️  ${filename} does not exist on ${CONTEXT_REF}`));
+      return null;
     }
 
-    console.log(chalk.gray(`    📖 Fetching context.json from Ghost repository...`));
-    
-    // Fetch the context.json file from the Ghost repository
-    const { data: fileContent } = await octokit.repos.getContent({
-      owner: 'TryGhost',
-      repo: 'Ghost',
-      path: 'ghost/i18n/locales/context.json',
-      ref: 'main' // or 'master' depending on the default branch
-    });
-    
-    // Decode the content (GitHub returns it base64 encoded)
-    const content = Buffer.from(fileContent.content, 'base64').toString('utf8');
-    
-    // Save to cache file
-    await fs.writeFile(CONTEXT_CACHE_FILE, content, 'utf8');
-    
-    console.log(chalk.gray(`    ✅ Found context.json (${content.length} characters) - cached for 24 hours`));
+    console.log(chalk.gray(`    ✅ Found ${path.basename(filename)} (${content.length} characters, ${CACHE_STATUS_LABELS[status]})`));
     return content;
     
   } catch (error) {
-    console.log(chalk.yellow(`    ⚠️  Could not fetch context.json: ${error.message}`));
+    console.log(chalk.yellow(`    ⚠️  Could not fetch ${filename}: ${error.message}`));
     return null;
   }
 }
 
 async function getCurrentFileContent(filename, pr) {
   try {
-    console.log(chalk.gray(`    📖 Fetching current file content from PR...`));
-    
-    // Get the file content from the PR's head branch
-    const { data: fileContent } = await octokit.repos.getContent({
+    // Get the file content at the PR's head commit, which the cache keeps forever
+    const { content, status } = await fetchRepoFile(octokit, {
       owner: process.env.GITHUB_OWNER,
       repo: process.env.GITHUB_REPO,
       path: filename,
       ref: pr.head.sha // Use the PR's head commit SHA instead of branch name
     });
+
+    if (content === null) {
+      console.log(chalk.gray(`    📖 ${filename} does not exist in the PR`));
+      return null;
+    }
     
-    // Decode the content (GitHub returns it base64 encoded)
-    const content = Buffer.from(fileContent.content, 'base64').toString('utf8');
-    
-    console.log(chalk.gray(`    ✅ Found current file content (${content.length} characters)`));
+    console.log(chalk.gray(`    ✅ Found ${filename} (${content.length} characters, ${CACHE_STATUS_LABELS[status]})`));
     return content;
     
   } catch (error) {
-    console.log(chalk.yellow(`    ⚠️  Could not fetch current file content: ${error.message}`));
+    console.log(chalk.yellow(`    ⚠️  Could not fetch ${filename}: ${error.message}`));
     return null;
   }
 }
 
-async function analyzeAllFilesWithAI(allFileChanges, prTitle, pr, contextContent, debug = false) {
+async function analyzeAllFilesWithAI(allFileChanges, prTitle, contextContent, provider, aiOptions = {}) {
   // Filter out files with no added lines
   const filesWithChanges = allFileChanges.filter(file => {
     const addedLines = file.changedLines.filter(line => line.type === 'added');
@@ -290,15 +603,135 @@ async function analyzeAllFilesWithAI(allFileChanges, prTitle, pr, contextContent
     };
   }
 
+  // Build content with all files
+  const filesContent = filesWithChanges.map((file, index) => {
+    const addedLines = file.changedLines.filter(line => line.type === 'added');
+    return `File ${index + 1}: ${file.filename}
+Current file content (for context):
+${file.currentFileContent ? file.currentFileContent : 'Not available'}
+
+Added Lines (translations to analyze):
+${formatAddedLines(addedLines)}${formatCompositionSection(file, addedLines)}${aiOptions.fullContext ? '' : `
+
+Context for each added string:
+${formatFileKeyContexts(file, aiOptions.keyContexts) || 'Not available'}`}`;
+  }).join('\n\n');
+
+  // Either the whole context.json or only the focused per-string context above
+  const contextSection = aiOptions.fullContext
+    ? `Ghost i18n context file for reference:
+${contextContent ? contextContent : 'Not available'}
+
+`
+    : '';
+
+  const content = `PR Title: ${prTitle}
+
+${contextSection}Files and changes in this PR:
+${filesContent}`;
+
+  // Fall back to chunks when the single prompt would not fit the token budget
+  const promptTokens = estimateTokens(buildDirections(filesWithChanges).content) + estimateTokens(content);
+  if (aiOptions.chunked || promptTokens > aiOptions.maxPromptTokens) {
+    return analyzeInChunks(filesWithChanges, prTitle, contextContent, provider, aiOptions, promptTokens);
+  }
+
+  return requestAnalysis(filesWithChanges, content, provider, aiOptions.debug);
+}
+
+/**
+ * Split the added lines into token-budgeted chunks, analyze them with bounded concurrency
+ * and merge the results into a single analysis
+ */
+async function analyzeInChunks(filesWithChanges, prTitle, contextContent, provider, aiOptions, promptTokens) {
+  const radius = 2;
+  // The whole context.json does not fit a chunk; with --full-context each chunk gets the entries of its own keys
+  const context = aiOptions.fullContext ? parseJsonObject(contextContent) : {};
+  const formatContext = (file, lines) => aiOptions.fullContext
+    ? formatContextEntries(getContextEntries(context, lines))
+    : formatFileKeyContexts({ filename: file.filename, changedLines: lines }, aiOptions.keyContexts);
+
+  const directionsTokens = estimateTokens(buildDirections(filesWithChanges, { part: 1, total: 1 }).content);
+  const chunks = chunkFileChanges(filesWithChanges, {
+    maxTokens: Math.max(1000, aiOptions.maxPromptTokens - directionsTokens),
+    radius,
+    lineContext: (file, line) => formatContext(file, [line]) +
+      formatCompositions(file.compositions, new Set([line.diffPosition]))
+  });
+
+  console.log(chalk.blue(`🧩 Splitting ~${promptTokens} tokens of analysis into ${chunks.length} chunks (budget ${aiOptions.maxPromptTokens} tokens, ${aiOptions.concurrency} at a time)...`));
+
+  const results = await mapWithConcurrency(chunks, aiOptions.concurrency, async (chunk, index) => {
+    const addedLines = chunk.files.flatMap(file => file.changedLines);
+    console.log(chalk.gray(`    🧩 Chunk ${index + 1}/${chunks.length}: ${addedLines.length} lines in ${chunk.files.length} files`));
+
+    const filesContent = chunk.files.map((file, fileIndex) => {
+      const nearbyLines = getNearbyLines(file.currentFileContent, file.changedLines.map(line => line.fileLineNumber), radius);
+      return `File ${fileIndex + 1}: ${file.filename}
+Nearby lines from the current file (for context):
+${nearbyLines || 'Not available'}
+
+Added Lines (translations to analyze):
+${formatAddedLines(file.changedLines)}${formatCompositionSection(file, file.changedLines)}
+
+${aiOptions.fullContext ? 'Ghost i18n context entries for these strings' : 'Context for each added string'}:
+${formatContext(file, file.changedLines) || 'Not available'}`;
+    }).join('\n\n');
+
+    const content = `PR Title: ${prTitle}
+
+Files and changes in this part of the PR:
+${filesContent}`;
+
+    return requestAnalysis(chunk.files, content, provider, aiOptions.debug, { part: index + 1, total: chunks.length });
+  });
+
+  return {
+    comments: results.flatMap(result => result.comments),
+    overall: results.map(result => result.overall).filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * context.json entries as pretty-printed JSON, empty if there are none
+ */
+function formatContextEntries(entries) {
+  return Object.keys(entries).length > 0 ? JSON.stringify(entries, null, 2) : '';
+}
+
+/**
+ * The composed sentences that involve the given lines, as a prompt section
+ */
+function formatCompositionSection(file, lines) {
+  const sentences = formatCompositions(file.compositions, new Set(lines.map(line => line.diffPosition)));
+  return sentences ? `
+
+Sentences composed from these strings (each %%{slot}%% replaced by another translated string):
+${sentences}` : '';
+}
+
+function formatAddedLines(addedLines) {
+  return addedLines.map((line, lineIndex) => 
+    `${lineIndex + 1}. [ADDED] diffPosition ${line.diffPosition}: ${line.content}`
+  ).join('\n');
+}
+
+/**
+ * Build the developer prompt. When the PR is analyzed in parts, `part` tells the model
+ * which part it is looking at so that only the last part thanks the translator.
+ */
+function buildDirections(filesWithChanges, part = null) {
   // Get all valid diffPosition values for the AI
-  const validPositions = filesWithChanges.flatMap(file => 
-    file.changedLines.filter(line => line.type === 'added').map(line => ({
-      filename: file.filename,
-      diffPosition: line.diffPosition
-    }))
-  );
+  const validPositions = getValidPositions(filesWithChanges);
 
-  const directions = {
+  const partNote = part && part.total > 1
+    ? `
+### This PR is analyzed in ${part.total} parts. This is part ${part.part} of ${part.total}.
+Only comment on the lines in this part. Keep the overall comment specific to this part.${part.part === part.total ? '' : ` Do not finish the overall comment with 'Thank you!', another part will do that.`}
+`
+    : '';
+
+  return {
     role: 'developer',
     content: `You are an AI assistant analyzing i18n (internationalization) changes in a Ghost 
     (blogging and newsletter publishing platform) repository.
@@ -340,14 +773,19 @@ Only make suggestions if they are specific and actionable.
   "comments": [
     {
       "type": "error|warning|info|suggestion",
+      "category": "${AI_CATEGORIES.join('|')}",
       "filename": "filename.json",
       "diffPosition": diffPosition,
-      "message": "[Your feedback here - be specific and actionable - please write in English]"
+      "message": "[Your feedback here - be specific and actionable - please write in English]",
+      "suggestion": "[Optional - the complete corrected line, for example \"Close\": \"Fermer\",]"
     }
   ],
   "overall": "[An 'overall' section is optional.  If you have any overall comments, please write them here.  Finish your comment with 'Thank you!' in the translator's own language.]"  
 }
 
+Only include a "suggestion" when you are confident of the exact fix. It must be the complete corrected line from the
+locale file, with the same key as the original line, so the translator can accept it with one click.
+
 CRITICAL: For each issue or suggestion, you MUST use the exact diffPosition value that corresponds to the specific line containing the translation you are commenting on. 
 You must also include the filename for each comment.
 
@@ -364,37 +802,35 @@ IMPORTANT: Look at the translation content in each line and use the diffPosition
 
 ### Common issues to avoid & other notes:
 
-Consult the context.json file if you aren't sure how a string will be used.
+Consult the context.json descriptions if you aren't sure how a string will be used.
 
 In English, we use "Jamie Larson" for a placeholder in any field that needs a name. Please do not transliterate. Please do not replace with "Name". Instead, replace Jamie Larson with a name that will be recognized as a name in your language. Choose something uncontroversial and common. If possible, choose a non-gendered name.
 
 Do not translate variables (inside {}). Do not add variables. If a translator has omitted a variable or made an error in the variable name, please note that in your comment.
 
 Watch out for "You are receiving this because you are a %%{status}%% subscriber to {site}.'", which takes the "free", "trialing", "paid", and "complimentary" strings in the %%{status}%% field. These strings need to produce good grammar when substituted.
-
+When composed sentences are listed for a file, check that each one reads correctly. If one does not, comment on the
+diffPosition of the changed line that causes the problem: the template or the substituted string.
+${partNote}
 `
   };
+}
 
-  // Build content with all files
-  const filesContent = filesWithChanges.map((file, index) => {
-    const addedLines = file.changedLines.filter(line => line.type === 'added');
-    return `File ${index + 1}: ${file.filename}
-Current file content (for context):
-${file.currentFileContent ? file.currentFileContent : 'Not available'}
-
-Added Lines (translations to analyze):
-${addedLines.map((line, lineIndex) => 
-  `${lineIndex + 1}. [ADDED] diffPosition ${line.diffPosition}: ${line.content}`
-).join('\n')}`;
-  }).join('\n\n');
-
-  const content = `PR Title: ${prTitle}
-
-Ghost i18n context file for reference:
-${contextContent ? contextContent : 'Not available'}
+function getValidPositions(filesWithChanges) {
+  return filesWithChanges.flatMap(file => 
+    file.changedLines.filter(line => line.type === 'added').map(line => ({
+      filename: file.filename,
+      diffPosition: line.diffPosition
+    }))
+  );
+}
 
-Files and changes in this PR:
-${filesContent}`;
+/**
+ * Send one prompt to the provider and keep only comments on valid positions
+ */
+async function requestAnalysis(filesWithChanges, content, provider, debug, part = null) {
+  const validPositions = getValidPositions(filesWithChanges);
+  const directions = buildDirections(filesWithChanges, part);
 
   if (debug) {
     console.log(chalk.blue('\n🤖 AI Request Details:'));
@@ -405,20 +841,16 @@ ${filesContent}`;
     console.log(chalk.cyan('📄 User Content:'));
     console.log(chalk.gray(content));
     console.log(chalk.gray('='.repeat(80)));
-    console.log(chalk.blue(`📊 Sending request to OpenAI (${content.length} characters)...`));
+    console.log(chalk.blue(`📊 Sending request to ${provider.name} (${provider.model}, ${content.length} characters)...`));
   }
 
   try {
-    const response = await openai.beta.chat.completions.parse({
-      model: "o4-mini",
-      messages: [
-        directions,
-        { role: 'assistant', content: content }
-      ],
-      response_format: {type: 'json_object'}
-    });
+    const responseContent = await provider.complete([
+      directions,
+      { role: 'assistant', content: content }
+    ]);
     
-    if (!response.choices[0] || !response.choices[0].message || !response.choices[0].message.content || response.choices[0].refusal) {
+    if (!responseContent) {
       console.log(chalk.red(`    ❌ AI response failed`));
       return {
         comments: [],
@@ -426,7 +858,7 @@ ${filesContent}`;
       };
     }
     
-    const aiResponse = JSON.parse(response.choices[0].message.content);
+    const aiResponse = JSON.parse(responseContent);
     
     if (debug) {
       console.log(chalk.green('\n✅ AI Response:'));
@@ -436,7 +868,9 @@ ${filesContent}`;
     }
 
     
-    if (aiResponse.comments) {
+    if (!Array.isArray(aiResponse.comments)) {
+      aiResponse.comments = [];
+    } else {
       aiResponse.comments = aiResponse.comments.filter(comment => {
         const isValid = validPositions.some(pos => 
           pos.filename === comment.filename && pos.diffPosition === comment.diffPosition
@@ -446,6 +880,12 @@ ${filesContent}`;
         }
         return isValid;
       });
+
+      // The category becomes the comment's rule ID in SARIF, so keep it to the known set
+      for (const comment of aiResponse.comments) {
+        const category = typeof comment.category === 'string' ? comment.category.toLowerCase() : '';
+        comment.category = AI_CATEGORIES.includes(category) ? category : 'other';
+      }
     }
     
     return aiResponse;
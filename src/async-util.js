@@ -0,0 +1,28 @@
+/**
+ * async-util.js
+ * Small helpers for running async work with bounded concurrency.
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving the order of results
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  // An invalid or non-positive limit still runs one worker, so that every item gets a result
+  const workerCount = Math.min(Number.isFinite(limit) && limit >= 1 ? Math.floor(limit) : 1, items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,192 @@
+/**
+ * batch.js
+ * Reviews every open translation PR of the repository in one run.
+ */
+
+import { Octokit } from '@octokit/rest';
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { analyzePR, I18N_FILE_PATTERN } from './analyzer.js';
+import { postComments } from './github.js';
+import { mapWithConcurrency } from './async-util.js';
+import { parseLocalePath, parseTranslationLine } from './locale-util.js';
+
+const octokit = new Octokit({
+  auth: process.env.GITHUB_TOKEN,
+});
+
+/**
+ * Parse a comma-separated filter option
+ * @param {string|undefined} value - e.g. `de,fr`
+ * @returns {Array} The values, empty if the filter is not set
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * The locales whose files a PR changes
+ * @param {number} prNumber - The PR
+ * @returns {Promise<Array|null>} Sorted locale codes, or null if the PR does not touch any locale files
+ */
+export async function listPRLocales(prNumber) {
+  const files = await octokit.paginate(octokit.pulls.listFiles, {
+    owner: process.env.GITHUB_OWNER,
+    repo: process.env.GITHUB_REPO,
+    pull_number: prNumber,
+    per_page: 100,
+  });
+
+  const i18nFiles = files.filter(file => I18N_FILE_PATTERN.test(file.filename));
+  if (i18nFiles.length === 0) {
+    return null;
+  }
+
+  return [...new Set(i18nFiles
+    .map(file => parseLocalePath(file.filename))
+    .filter(Boolean)
+    .map(localePath => localePath.locale))].sort();
+}
+
+/**
+ * List the open PRs that touch locale files and match the filters
+ * @param {Object} options - { label, author, locale } (comma-separated values)
+ * @returns {Promise<Array>} { pr, locales } for each matching PR
+ */
+export async function listI18nPRs(options = {}) {
+  const labels = parseList(options.label);
+  const authors = parseList(options.author).map(author => author.toLowerCase());
+  const locales = parseList(options.locale);
+
+  const pulls = await octokit.paginate(octokit.pulls.list, {
+    owner: process.env.GITHUB_OWNER,
+    repo: process.env.GITHUB_REPO,
+    state: 'open',
+    per_page: 100,
+  });
+  console.log(chalk.blue(`📋 Found ${pulls.length} open PRs`));
+
+  const candidates = pulls.filter(pr =>
+    (labels.length === 0 || pr.labels.some(label => labels.includes(label.name))) &&
+    (authors.length === 0 || authors.includes(pr.user.login.toLowerCase()))
+  );
+
+  const matching = [];
+  for (const pr of candidates) {
+    const prLocales = await listPRLocales(pr.number);
+    if (!prLocales) {
+      continue;
+    }
+    if (locales.length > 0 && !prLocales.some(locale => locales.includes(locale))) {
+      continue;
+    }
+
+    matching.push({ pr, locales: prLocales });
+  }
+
+  console.log(chalk.blue(`📋 ${matching.length} of them touch ghost/i18n/locales and match the filters`));
+  return matching;
+}
+
+/**
+ * Analyze (and unless it is a dry run, post) every open i18n PR whose head has not been posted yet.
+ * PRs with security flags are analyzed but not posted.
+ * @param {Object} options - Analysis options plus { label, author, locale, prConcurrency, dryRun, event, force }
+ * @returns {Promise<Array>} One row per PR: { prNumber, title, locales, strings, comments, status }
+ */
+export async function reviewAllPRs(options = {}) {
+  const prs = await listI18nPRs(options);
+  const prConcurrency = parseInt(options.prConcurrency || '2', 10);
+
+  const rows = await mapWithConcurrency(prs, prConcurrency, async ({ pr, locales }) => {
+    const row = { prNumber: pr.number, title: pr.title, locales, strings: null, comments: null, status: '' };
+    const reportFile = path.join('ai_validations', `${pr.number}.json`);
+
+    // Posted reports record the head SHA they were made from; dry runs and held PRs are picked up again
+    const previous = await readReport(reportFile);
+    if (!options.force && previous && previous.posted && previous.posted.headSha === pr.head.sha) {
+      row.strings = countStrings(previous);
+      row.comments = previous.summary ? previous.summary.totalComments : null;
+      row.status = 'up to date';
+      return row;
+    }
+
+    try {
+      console.log(chalk.cyan(`\n🔍 PR #${pr.number}: ${pr.title}`));
+      // --force re-analyzes from scratch instead of incrementally
+      const report = await analyzePR(pr.number, { ...options, full: options.full || options.force, output: reportFile });
+      if (!report) {
+        row.status = 'no i18n files';
+        return row;
+      }
+
+      row.strings = countStrings(report);
+      row.comments = report.summary.totalComments;
+
+      if (options.dryRun) {
+        row.status = 'analyzed';
+      } else if (report.securityFlags && report.securityFlags.length > 0) {
+        // Flagged PRs need a human look before anything is posted
+        console.log(chalk.red(`🚨 PR #${pr.number}: not posting, the security scan flagged ${report.securityFlags.length} strings`));
+        row.status = 'held: security flags';
+      } else {
+        const counts = await postComments(pr.number, reportFile, { event: options.event });
+        row.status = counts && counts.event ? `posted (${counts.event.toLowerCase()})` : 'posted';
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ PR #${pr.number} failed:`), error.message);
+      row.status = `failed: ${error.message}`;
+    }
+
+    return row;
+  });
+
+  printSummaryTable(rows);
+  return rows;
+}
+
+async function readReport(reportFile) {
+  try {
+    return JSON.parse(await fs.readFile(reportFile, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Number of added key/value lines in a report
+ */
+function countStrings(report) {
+  return report.files.reduce((sum, file) => sum + (file.changedLines || [])
+    .filter(line => line.type === 'added' && parseTranslationLine(line.content))
+    .length, 0);
+}
+
+function printSummaryTable(rows) {
+  console.log('');
+  if (rows.length === 0) {
+    console.log(chalk.yellow('⚠️  No open i18n PRs to review'));
+    return;
+  }
+
+  const table = [
+    ['PR', 'Language', 'Strings', 'Comments', 'Status'],
+    ...rows.map(row => [
+      `#${row.prNumber}`,
+      row.locales.join(', ') || '-',
+      row.strings === null ? '-' : String(row.strings),
+      row.comments === null ? '-' : String(row.comments),
+      row.status
+    ])
+  ];
+  const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+  const formatRow = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log(chalk.bold(formatRow(table[0])));
+  console.log(chalk.gray(widths.map(width => '-'.repeat(width)).join('  ')));
+  for (const cells of table.slice(1)) {
+    const color = cells[4].startsWith('failed') || cells[4].startsWith('held') ? chalk.red : cells[4] === 'up to date' ? chalk.gray : chalk.white;
+    console.log(color(formatRow(cells)));
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * cache.js
+ * Content-addressed filesystem cache for files fetched from GitHub.
+ *
+ * Entries are keyed by owner/repo/path/ref and point at blobs stored by their git blob SHA,
+ * so identical files fetched at different refs are stored once:
+ *
+ *   cache/refs/<sha256 of owner/repo/path@ref>.json  → { owner, repo, path, ref, blobSha, etag, ... }
+ *   cache/blobs/<git blob sha>                       → raw file content
+ *
+ * Content fetched at a commit SHA never changes and is cached forever. Content fetched at a
+ * branch or tag is revalidated with its ETag on every use, which costs a request but no
+ * rate limit when GitHub answers 304 Not Modified.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CACHE_DIR = process.env.I18N_CACHE_DIR || path.join(__dirname, '..', 'cache');
+const REFS_DIR = path.join(CACHE_DIR, 'refs');
+const BLOBS_DIR = path.join(CACHE_DIR, 'blobs');
+
+/**
+ * Whether a ref is a full commit SHA, i.e. immutable
+ */
+export function isCommitSha(ref) {
+  return /^[0-9a-f]{40}$/i.test(ref);
+}
+
+function getEntryKey({ owner, repo, path: filePath, ref }) {
+  return crypto.createHash('sha256').update(`${owner}/${repo}/${filePath}@${ref}`).digest('hex');
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readEntry(key) {
+  const entry = await readJson(path.join(REFS_DIR, `${key}.json`));
+  if (!entry) {
+    return null;
+  }
+  if (entry.missing) {
+    return { entry, content: null };
+  }
+  try {
+    const content = await fs.readFile(path.join(BLOBS_DIR, entry.blobSha), 'utf8');
+    return { entry, content };
+  } catch (error) {
+    // The blob was removed, so the entry is useless
+    return null;
+  }
+}
+
+async function writeEntry(key, entry, content) {
+  await fs.mkdir(REFS_DIR, { recursive: true });
+  await fs.mkdir(BLOBS_DIR, { recursive: true });
+  if (content !== null) {
+    await fs.writeFile(path.join(BLOBS_DIR, entry.blobSha), content, 'utf8');
+  }
+  await fs.writeFile(path.join(REFS_DIR, `${key}.json`), JSON.stringify(entry, null, 2), 'utf8');
+}
+
+/**
+ * Fetch a file from GitHub through the cache
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} file - { owner, repo, path, ref }
+ * @returns {Promise<Object>} { content, status } where content is null for files that do not
+ *   exist and status is one of 'hit', 'revalidated', 'stale', 'fetched'
+ */
+export async function fetchRepoFile(octokit, file) {
+  const key = getEntryKey(file);
+  const cached = await readEntry(key);
+  const immutable = isCommitSha(file.ref);
+
+  if (cached && immutable) {
+    return { content: cached.content, status: 'hit' };
+  }
+
+  const now = new Date().toISOString();
+
+  try {
+    const { data, headers } = await octokit.repos.getContent({
+      owner: file.owner,
+      repo: file.repo,
+      path: file.path,
+      ref: file.ref,
+      headers: cached && cached.entry.etag ? { 'if-none-match': cached.entry.etag } : {},
+    });
+
+    if (Array.isArray(data) || data.type !== 'file') {
+      throw new Error(`${file.path} is not a file`);
+    }
+
+    // Decode the content (GitHub returns it base64 encoded)
+    const content = Buffer.from(data.content, 'base64').toString('utf8');
+    await writeEntry(key, {
+      owner: file.owner,
+      repo: file.repo,
+      path: file.path,
+      ref: file.ref,
+      blobSha: data.sha,
+      etag: headers.etag || null,
+      size: Buffer.byteLength(content),
+      fetchedAt: now,
+      validatedAt: now,
+    }, content);
+
+    return { content, status: 'fetched' };
+
+  } catch (error) {
+    if (error.status === 304 && cached) {
+      await writeEntry(key, { ...cached.entry, validatedAt: now }, null);
+      return { content: cached.content, status: 'revalidated' };
+    }
+
+    if (error.status === 404) {
+      // Remember missing files at immutable refs, e.g. a namespace a sibling locale lacks
+      if (immutable) {
+        await writeEntry(key, {
+          owner: file.owner,
+          repo: file.repo,
+          path: file.path,
+          ref: file.ref,
+          missing: true,
+          fetchedAt: now,
+          validatedAt: now,
+        }, null);
+      }
+      return { content: null, status: 'fetched' };
+    }
+
+    // Prefer stale content over failing when GitHub cannot be reached
+    if (cached) {
+      return { content: cached.content, status: 'stale' };
+    }
+    throw error;
+  }
+}
+
+/**
+ * List all cache entries
+ * @returns {Promise<Array>} Entries sorted by path and ref
+ */
+export async function listCacheEntries() {
+  let files;
+  try {
+    files = await fs.readdir(REFS_DIR);
+  } catch (error) {
+    return [];
+  }
+
+  const entries = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const entry = await readJson(path.join(REFS_DIR, file));
+    if (entry) {
+      entries.push({ key: path.basename(file, '.json'), ...entry });
+    }
+  }
+
+  return entries.sort((a, b) => a.path.localeCompare(b.path) || a.ref.localeCompare(b.ref));
+}
+
+/**
+ * Remove cache entries, then any blobs no entry points at anymore
+ * @param {Object} filter - Optional { ref, path, owner, repo }; removes everything when empty
+ * @returns {Promise<Object>} { entries, blobs } counts of removed files
+ */
+export async function clearCache(filter = {}) {
+  const entries = await listCacheEntries();
+  const matches = entry => Object.entries(filter)
+    .every(([field, value]) => value === undefined || entry[field] === value);
+
+  let removedEntries = 0;
+  for (const entry of entries.filter(matches)) {
+    await fs.rm(path.join(REFS_DIR, `${entry.key}.json`), { force: true });
+    removedEntries++;
+  }
+
+  const referenced = new Set(entries.filter(entry => !matches(entry)).map(entry => entry.blobSha));
+  let removedBlobs = 0;
+  let blobs = [];
+  try {
+    blobs = await fs.readdir(BLOBS_DIR);
+  } catch (error) {
+    // No blobs yet
+  }
+  for (const blob of blobs.filter(b => !referenced.has(b))) {
+    await fs.rm(path.join(BLOBS_DIR, blob), { force: true });
+    removedBlobs++;
+  }
+
+  return { entries: removedEntries, blobs: removedBlobs };
+}
+
+/**
+ * Summarize the cache contents
+ * @returns {Promise<Object>} { entries, pinned, branch, missing, blobs, bytes, oldest, newest }
+ */
+export async function getCacheStats() {
+  const entries = await listCacheEntries();
+  let blobs = [];
+  try {
+    blobs = await fs.readdir(BLOBS_DIR);
+  } catch (error) {
+    // No blobs yet
+  }
+
+  let bytes = 0;
+  for (const blob of blobs) {
+    const stats = await fs.stat(path.join(BLOBS_DIR, blob));
+    bytes += stats.size;
+  }
+
+  const fetchedTimes = entries.map(entry => entry.fetchedAt).sort();
+
+  return {
+    entries: entries.length,
+    pinned: entries.filter(entry => isCommitSha(entry.ref)).length,
+    branch: entries.filter(entry => !isCommitSha(entry.ref)).length,
+    missing: entries.filter(entry => entry.missing).length,
+    blobs: blobs.length,
+    bytes,
+    oldest: fetchedTimes[0] || null,
+    newest: fetchedTimes[fetchedTimes.length - 1] || null,
+  };
+}
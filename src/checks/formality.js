@@ -0,0 +1,170 @@
+/**
+ * formality.js
+ * T/V consistency check: classifies added translations as formal or informal address (Sie/du,
+ * vous/tu, usted/tú, вы/ты, ...) and flags those that go against the register the locale has
+ * established. Per-locale pronoun lists come from rules/formality.json.
+ */
+
+import { parseTranslationLine, parseLocalePath } from '../locale-util.js';
+
+export const REGISTER_FORMAL = 'formal';
+export const REGISTER_INFORMAL = 'informal';
+
+// A locale has an established register once this many existing strings address the reader...
+const MIN_CLASSIFIED_STRINGS = 5;
+// ...and this share of them agree
+const DOMINANCE_THRESHOLD = 0.7;
+const MAX_EXAMPLES = 3;
+
+const PLACEHOLDER_PATTERN = /%%\{[^{}]*\}%%|\{[^{}]*\}|<[^>]*>/g;
+
+const compiledRules = new WeakMap();
+
+/**
+ * Compile the marker words of a locale into one pattern per register
+ * @param {Object|null} rules - Parsed rules/formality.json
+ * @param {string} locale - e.g. `de`
+ * @returns {Object|null} { formal: RegExp, informal: RegExp }, or null if the locale has no rules
+ */
+export function getRegisterPatterns(rules, locale) {
+  const localeRules = rules && rules[locale];
+  if (!localeRules) {
+    return null;
+  }
+  if (compiledRules.has(localeRules)) {
+    return compiledRules.get(localeRules);
+  }
+
+  const flags = localeRules.caseSensitive ? 'gu' : 'giu';
+  const compile = words => {
+    const alternatives = (words || []).map(word => {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/'/g, '[\'’]');
+      // Elided forms such as French t' are followed directly by the next word
+      return /'$/.test(word) ? escaped : `${escaped}(?![\\p{L}\\p{M}])`;
+    });
+    return alternatives.length > 0 ? new RegExp(`(?<![\\p{L}\\p{M}])(?:${alternatives.join('|')})`, flags) : null;
+  };
+
+  const patterns = {
+    [REGISTER_FORMAL]: compile(localeRules.formal),
+    [REGISTER_INFORMAL]: compile(localeRules.informal)
+  };
+  compiledRules.set(localeRules, patterns);
+  return patterns;
+}
+
+/**
+ * Classify how a string addresses the reader
+ * @param {string} text - A translated string
+ * @param {Object} patterns - From getRegisterPatterns
+ * @returns {Object|null} { register: formal, informal or mixed, markers: matched words }, or null
+ *   if the string does not address the reader
+ */
+export function classifyRegister(text, patterns) {
+  const stripped = text.replace(PLACEHOLDER_PATTERN, ' ');
+  const markers = {};
+  for (const register of [REGISTER_FORMAL, REGISTER_INFORMAL]) {
+    markers[register] = patterns[register] ? [...stripped.matchAll(patterns[register])].map(match => match[0]) : [];
+  }
+
+  const formal = markers[REGISTER_FORMAL].length > 0;
+  const informal = markers[REGISTER_INFORMAL].length > 0;
+  if (!formal && !informal) {
+    return null;
+  }
+  if (formal && informal) {
+    return { register: 'mixed', markers: [...markers[REGISTER_FORMAL], ...markers[REGISTER_INFORMAL]] };
+  }
+  const register = formal ? REGISTER_FORMAL : REGISTER_INFORMAL;
+  return { register, markers: markers[register] };
+}
+
+/**
+ * Find the register the existing translations of a locale use
+ * @param {Array} entries - Translation memory entries: { namespace, key, english, translation }
+ * @param {Object} patterns - From getRegisterPatterns
+ * @returns {Object} { dominant: formal, informal or null, counts, examples: entries in the dominant register }
+ */
+export function summarizeRegister(entries, patterns) {
+  const counts = { [REGISTER_FORMAL]: 0, [REGISTER_INFORMAL]: 0, mixed: 0 };
+  const candidates = { [REGISTER_FORMAL]: [], [REGISTER_INFORMAL]: [] };
+
+  for (const entry of entries) {
+    const classification = classifyRegister(entry.translation, patterns);
+    if (!classification) {
+      continue;
+    }
+    counts[classification.register]++;
+    if (candidates[classification.register]) {
+      candidates[classification.register].push(entry);
+    }
+  }
+
+  const total = counts[REGISTER_FORMAL] + counts[REGISTER_INFORMAL] + counts.mixed;
+  let dominant = null;
+  if (total >= MIN_CLASSIFIED_STRINGS) {
+    dominant = [REGISTER_FORMAL, REGISTER_INFORMAL].find(register => counts[register] / total >= DOMINANCE_THRESHOLD) || null;
+  }
+
+  // Short strings make the clearest examples
+  const examples = dominant
+    ? [...candidates[dominant]].sort((a, b) => a.translation.length - b.translation.length).slice(0, MAX_EXAMPLES)
+    : [];
+
+  return { dominant, counts, total, examples };
+}
+
+/**
+ * Flag added translations that address the reader in a different register than the rest of the locale
+ * @param {Object} fileChange - { filename, changedLines }
+ * @param {Object} checkContext - { formalityRules: parsed rules/formality.json, registers: Map locale → summarizeRegister result }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkFormality(fileChange, checkContext) {
+  const localePath = parseLocalePath(fileChange.filename);
+  if (!localePath || !checkContext.registers) {
+    return [];
+  }
+  const summary = checkContext.registers.get(localePath.locale);
+  const patterns = getRegisterPatterns(checkContext.formalityRules, localePath.locale);
+  if (!summary || !summary.dominant || !patterns) {
+    return [];
+  }
+
+  const comments = [];
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+
+    const pair = parseTranslationLine(line.content);
+    if (!pair || pair.value === '') {
+      continue;
+    }
+
+    const classification = classifyRegister(pair.value, patterns);
+    if (!classification || classification.register === summary.dominant) {
+      continue;
+    }
+
+    const markers = [...new Set(classification.markers)].map(marker => `"${marker}"`).join(', ');
+    const found = classification.register === 'mixed'
+      ? `This translation mixes formal and informal address (${markers}).`
+      : `This translation uses the ${classification.register} register (${markers}).`;
+    const examples = summary.examples
+      .map(example => `"${example.english}" → "${example.translation}"`)
+      .join('; ');
+
+    comments.push({
+      type: 'warning',
+      filename: fileChange.filename,
+      diffPosition: line.diffPosition,
+      message: `${found} The existing ${localePath.locale} translations use the ${summary.dominant} register ` +
+        `(${summary.counts[summary.dominant]} of ${summary.total} strings that address the reader)` +
+        (examples ? `, e.g. ${examples}.` : '.'),
+      check: 'formality'
+    });
+  }
+
+  return comments;
+}
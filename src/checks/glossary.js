@@ -0,0 +1,63 @@
+/**
+ * glossary.js
+ * Terminology check against the per-locale glossary in rules/glossary/<locale>.json.
+ */
+
+import { parseTranslationLine, parseLocalePath } from '../locale-util.js';
+import { containsTerm, findRendering } from '../glossary.js';
+
+/**
+ * Check that added translations use the approved rendering of every glossary term
+ * @param {Object} fileChange - { filename, changedLines }
+ * @param {Object} checkContext - { glossaries: Map locale → glossary }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkGlossary(fileChange, checkContext) {
+  const localePath = parseLocalePath(fileChange.filename);
+  const glossary = localePath && checkContext.glossaries.get(localePath.locale);
+  if (!glossary) {
+    return [];
+  }
+
+  const comments = [];
+
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+
+    const pair = parseTranslationLine(line.content);
+    if (!pair || pair.value === '') {
+      continue;
+    }
+
+    // Keys are usually the English string, but not for plural variants or keys with their own value
+    const english = typeof line.english === 'string' ? line.english : pair.key;
+    const problems = [];
+    for (const [term, entry] of Object.entries(glossary)) {
+      if (!containsTerm(english, term)) {
+        continue;
+      }
+
+      const approved = entry.approved || [];
+      const forbidden = findRendering(pair.value, entry.forbidden);
+      if (forbidden) {
+        problems.push(`The glossary for ${localePath.locale} translates "${term}" as ${approved.map(a => `"${a}"`).join(' or ')}, not "${forbidden}".`);
+      } else if (approved.length > 0 && !findRendering(pair.value, approved)) {
+        problems.push(`The glossary for ${localePath.locale} translates "${term}" as ${approved.map(a => `"${a}"`).join(' or ')}. Could you please check whether it should be used here?`);
+      }
+    }
+
+    if (problems.length > 0) {
+      comments.push({
+        type: 'warning',
+        filename: fileChange.filename,
+        diffPosition: line.diffPosition,
+        message: problems.join(' '),
+        check: 'glossary'
+      });
+    }
+  }
+
+  return comments;
+}
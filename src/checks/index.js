@@ -0,0 +1,112 @@
+/**
+ * checks/index.js
+ * Deterministic, rule-based checks that run over the changed files before the AI call.
+ */
+
+import chalk from 'chalk';
+import { checkPlaceholders } from './placeholders.js';
+import { checkPlurals } from './plurals.js';
+import { checkGlossary } from './glossary.js';
+import { checkTranslationMemory } from './translation-memory.js';
+import { checkPunctuation } from './punctuation.js';
+import { checkFormality, getRegisterPatterns, summarizeRegister } from './formality.js';
+import { checkSecurity } from './security.js';
+import { checkLanguage } from './language.js';
+import { loadGlossary } from '../glossary.js';
+import { buildTranslationMemory, findMemoryMatches } from '../translation-memory.js';
+import { loadRulesFile } from '../rules.js';
+import { parseLocalePath } from '../locale-util.js';
+
+const FILE_CHECKS = [
+  checkSecurity,
+  checkPlaceholders,
+  checkPlurals,
+  checkGlossary,
+  checkTranslationMemory,
+  checkPunctuation,
+  checkFormality,
+  checkLanguage
+];
+
+/**
+ * Load the per-locale rules the checks need for the locales in this change set
+ * @param {Array} allFileChanges - Files collected by analyzePR
+ * @param {Object} options - { memorySource: { ref } or { repo } to build the translation memory from, null to skip it }
+ * @returns {Promise<Object>} Check context: { glossaries: Map locale → glossary, memoryMatches: Map from findMemoryMatches,
+ *   punctuationRules: parsed rules/punctuation.json, formalityRules: parsed rules/formality.json,
+ *   registers: Map locale → register the existing translations use, profanity: Map locale → wordlist,
+ *   languageRules: parsed rules/language.json }
+ */
+export async function loadCheckContext(allFileChanges, options = {}) {
+  const locales = new Set(allFileChanges
+    .map(fileChange => parseLocalePath(fileChange.filename))
+    .filter(Boolean)
+    .map(localePath => localePath.locale));
+
+  const glossaries = new Map();
+  for (const locale of locales) {
+    const glossary = await loadGlossary(locale);
+    if (glossary) {
+      glossaries.set(locale, glossary);
+    }
+  }
+
+  const memories = new Map();
+  if (options.memorySource) {
+    for (const locale of locales) {
+      if (locale === 'en') {
+        continue;
+      }
+      try {
+        memories.set(locale, await buildTranslationMemory(locale, options.memorySource));
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not build the translation memory for ${locale}: ${error.message}`));
+      }
+    }
+  }
+
+  // English profanity is also looked for in every other locale
+  const profanity = new Map();
+  for (const locale of new Set([...locales, 'en'])) {
+    const words = await loadRulesFile(`profanity/${locale}.json`);
+    if (Array.isArray(words)) {
+      profanity.set(locale, words);
+    }
+  }
+
+  // The established formal/informal register is read from the same merged strings
+  const formalityRules = await loadRulesFile('formality.json');
+  const registers = new Map();
+  for (const [locale, memory] of memories) {
+    const patterns = getRegisterPatterns(formalityRules, locale);
+    if (patterns) {
+      registers.set(locale, summarizeRegister(memory.entries, patterns));
+    }
+  }
+
+  return {
+    glossaries,
+    memoryMatches: findMemoryMatches(allFileChanges, memories),
+    punctuationRules: await loadRulesFile('punctuation.json'),
+    formalityRules,
+    registers,
+    profanity,
+    languageRules: await loadRulesFile('language.json')
+  };
+}
+
+/**
+ * Run every rule-based check over all changed files
+ * @param {Array} allFileChanges - Files collected by analyzePR
+ * @param {Object} checkContext - From loadCheckContext
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function runChecks(allFileChanges, checkContext) {
+  const comments = [];
+  for (const fileChange of allFileChanges) {
+    for (const check of FILE_CHECKS) {
+      comments.push(...check(fileChange, checkContext));
+    }
+  }
+  return comments;
+}
@@ -0,0 +1,58 @@
+/**
+ * json-syntax.js
+ * Blocking check that the locale file at the PR head is still valid JSON.
+ */
+
+import { parseJsonWithPositions } from '../json-parse.js';
+
+/**
+ * Pick the added line a syntax error should be reported on: the line itself when it was
+ * added, otherwise the closest added line (the error may be caused by an edit nearby)
+ */
+function findClosestAddedLine(changedLines, lineNumber) {
+  const addedLines = changedLines.filter(line => line.type === 'added' && typeof line.fileLineNumber === 'number');
+  let closest = null;
+  for (const line of addedLines) {
+    const distance = Math.abs(line.fileLineNumber - lineNumber);
+    if (!closest || distance < Math.abs(closest.fileLineNumber - lineNumber)) {
+      closest = line;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Parse the full file content and turn the first syntax error into a comment
+ * @param {Object} fileChange - { filename, changedLines, currentFileContent }
+ * @returns {Object|null} { error, comment } or null when the file parses (or is unavailable)
+ */
+export function checkJsonSyntax(fileChange) {
+  if (!fileChange.currentFileContent) {
+    return null;
+  }
+
+  const { error } = parseJsonWithPositions(fileChange.currentFileContent);
+  if (!error) {
+    return null;
+  }
+
+  const line = findClosestAddedLine(fileChange.changedLines, error.line);
+  if (!line) {
+    return { error, comment: null };
+  }
+
+  const location = line.fileLineNumber === error.line
+    ? `column ${error.column}`
+    : `line ${error.line}, column ${error.column}`;
+
+  return {
+    error,
+    comment: {
+      type: 'error',
+      filename: fileChange.filename,
+      diffPosition: line.diffPosition,
+      message: `This file is no longer valid JSON: ${error.message} (${location}). Please fix this before merging, otherwise the translations cannot be loaded.`,
+      check: 'json-syntax'
+    }
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * language.js
+ * Flags added values that are not in the language of their locale: copies of the English source,
+ * text in the wrong script, and text that the trigram classifier places in another language.
+ * Brand names and strings that may stay identical are configured in rules/language.json.
+ */
+
+import { parseTranslationLine, parseLocalePath } from '../locale-util.js';
+import {
+  countScripts,
+  getDominantScript,
+  getExpectedScripts,
+  getBaseLanguage,
+  hasLanguageProfile,
+  rankLanguages,
+  findForeignLetters,
+  hasNativeLetters
+} from '../language-id.js';
+
+// Shorter strings are too ambiguous for the classifier on its own
+const MIN_LETTERS_FOR_CLASSIFIER = 15;
+// Mean log-probability per trigram the best language must lead the locale's language by
+const MIN_LANGUAGE_MARGIN = 0.4;
+// Strings without the letters that set the locale's language apart (e.g. Ukrainian і, ї, є, ґ) need
+// fewer letters and a smaller lead, which separates close pairs such as Russian and Ukrainian
+const MIN_LETTERS_WITHOUT_NATIVE = 10;
+const MIN_MARGIN_WITHOUT_NATIVE = 0.25;
+const MIN_LETTERS = 3;
+
+const STRIP_PATTERN = /%%\{[^{}]*\}%%|\{[^{}]*\}|<[^>]*>|\bhttps?:\/\/\S+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function getLanguageName(code) {
+  try {
+    return languageNames.of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const normalize = text => text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Remove placeholders, markup, links and brand names, which are the same in every language
+ * @param {string} text - A translated string
+ * @param {Array} brands - Brand names from rules/language.json
+ * @returns {string}
+ */
+export function stripUntranslatable(text, brands = []) {
+  let stripped = text.replace(STRIP_PATTERN, ' ');
+  for (const brand of brands) {
+    stripped = stripped.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(brand)}(?![\\p{L}\\p{N}])`, 'gu'), ' ');
+  }
+  return stripped;
+}
+
+/**
+ * Whether a string may be identical to its English source in a locale
+ * @param {Object|null} rules - Parsed rules/language.json
+ * @param {string} locale - e.g. `de`
+ * @param {string} value - The translated string
+ */
+function isAllowedIdentical(rules, locale, value) {
+  const identical = (rules && rules.identical) || {};
+  const allowed = [...(identical['*'] || []), ...(identical[getBaseLanguage(locale)] || []), ...(locale !== getBaseLanguage(locale) ? identical[locale] || [] : [])];
+  return allowed.some(entry => normalize(entry) === normalize(value));
+}
+
+/**
+ * Identify problems with the language of a translated string
+ * @param {string} english - The English source
+ * @param {string} value - The translated string
+ * @param {string} locale - Locale of the file, e.g. `uk`
+ * @param {Object|null} rules - Parsed rules/language.json
+ * @returns {string|null} The problem, or null if the string looks right
+ */
+export function checkLanguageOf(english, value, locale, rules) {
+  const text = stripUntranslatable(value, (rules && rules.brands) || []);
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters < MIN_LETTERS) {
+    return null;
+  }
+
+  const name = getLanguageName(locale);
+  if (normalize(value) === normalize(english)) {
+    return isAllowedIdentical(rules, locale, value)
+      ? null
+      : 'This string is identical to the English source. Was it left untranslated? If it should stay in English, please add it to rules/language.json.';
+  }
+
+  const expectedScripts = getExpectedScripts(locale);
+  const scripts = countScripts(text);
+  const dominant = getDominantScript(scripts);
+  const expectedLetters = expectedScripts.reduce((sum, script) => sum + (scripts.get(script) || 0), 0);
+  // Non-Latin locales often keep Latin product names, so only text without any native letters is flagged there
+  if (!expectedScripts.includes(dominant) && (expectedLetters === 0 || expectedScripts.includes('Latin'))) {
+    const ranking = rankLanguages(text);
+    const looksEnglish = ranking.length > 0 && ranking[0].language === 'en' && letters >= MIN_LETTERS_FOR_CLASSIFIER;
+    return `This string is written in ${dominant} script, but ${name} uses ${expectedScripts.join('/')} script.` +
+      (looksEnglish ? ' It looks like English. Was it left untranslated?' : '');
+  }
+
+  const base = getBaseLanguage(locale);
+  if (!hasLanguageProfile(locale)) {
+    return null;
+  }
+  const ranking = rankLanguages(text);
+  const expected = ranking.find(entry => entry.language === base);
+  // The closest other language, which may still rank below the locale's language
+  const best = ranking.find(entry => entry.language !== base);
+  if (!best || !expected) {
+    return null;
+  }
+
+  const foreignLetters = findForeignLetters(text, locale);
+  const lead = best.score - expected.score;
+  const confident = letters >= MIN_LETTERS_FOR_CLASSIFIER && lead >= MIN_LANGUAGE_MARGIN && hasNativeLetters(text, best.language) !== false;
+  const lacksNativeLetters = letters >= MIN_LETTERS_WITHOUT_NATIVE && lead >= MIN_MARGIN_WITHOUT_NATIVE && hasNativeLetters(text, base) === false;
+  if (!confident && !lacksNativeLetters && foreignLetters.length === 0) {
+    return null;
+  }
+
+  const foreignNote = `${foreignLetters.map(letter => `"${letter}"`).join(', ')} ${foreignLetters.length === 1 ? 'is' : 'are'} not used in ${name}`;
+  if (lead <= 0) {
+    return `This may not be ${name}: ${foreignNote}.`;
+  }
+  if (best.language === 'en') {
+    return `This looks like English rather than ${name}. Was it left untranslated?`;
+  }
+  return `This looks like ${getLanguageName(best.language)} rather than ${name}` +
+    (foreignLetters.length > 0 ? ` (${foreignNote})` : '') + '.';
+}
+
+/**
+ * Flag added translations that are untranslated or in the wrong script or language
+ * @param {Object} fileChange - { filename, changedLines }
+ * @param {Object} checkContext - { languageRules: parsed rules/language.json }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkLanguage(fileChange, checkContext) {
+  const localePath = parseLocalePath(fileChange.filename);
+  if (!localePath || localePath.locale === 'en') {
+    return [];
+  }
+  const comments = [];
+
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+
+    const pair = parseTranslationLine(line.content);
+    if (!pair || pair.value === '') {
+      continue;
+    }
+
+    const english = typeof line.english === 'string' ? line.english : pair.key;
+    const problem = checkLanguageOf(english, pair.value, localePath.locale, checkContext.languageRules);
+    if (problem) {
+      comments.push({
+        type: 'warning',
+        filename: fileChange.filename,
+        diffPosition: line.diffPosition,
+        message: problem,
+        check: 'language'
+      });
+    }
+  }
+
+  return comments;
+}
@@ -0,0 +1,126 @@
+/**
+ * placeholders.js
+ * Rule-based check that the {variables} and %%{variables}%% in a translation match the English key.
+ */
+
+import { parseTranslationLine } from '../locale-util.js';
+import { parsePluralKey } from './plurals.js';
+
+const PLACEHOLDER_PATTERN = /%%\{([^{}]*)\}%%|\{([^{}]*)\}/g;
+
+/**
+ * Extract all placeholders from a string
+ * @param {string} text - The string to scan
+ * @returns {Array} Array of objects: { token, name, wrapped }
+ */
+export function extractPlaceholders(text) {
+  const placeholders = [];
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    const wrapped = match[1] !== undefined;
+    placeholders.push({
+      token: match[0],
+      name: (wrapped ? match[1] : match[2]).trim(),
+      wrapped
+    });
+  }
+  return placeholders;
+}
+
+/**
+ * Subtract one list of tokens from another, respecting duplicates
+ */
+function difference(tokens, others) {
+  const remaining = [...others];
+  return tokens.filter(token => {
+    const index = remaining.indexOf(token);
+    if (index === -1) {
+      return true;
+    }
+    remaining.splice(index, 1);
+    return false;
+  });
+}
+
+/**
+ * Compare the placeholders of an English key with those of its translation
+ * @param {string} source - The English string
+ * @param {string} translation - The translated string
+ * @returns {Array} Human-readable problems, empty when the placeholders match
+ */
+export function comparePlaceholders(source, translation) {
+  const sourceTokens = extractPlaceholders(source).map(p => p.token);
+  const translationPlaceholders = extractPlaceholders(translation);
+  const translationTokens = translationPlaceholders.map(p => p.token);
+
+  const missing = difference(sourceTokens, translationTokens);
+  const extra = difference(translationTokens, sourceTokens);
+  const problems = [];
+
+  const nameOf = token => extractPlaceholders(token)[0].name;
+
+  // A placeholder with the right name but the wrong wrapper, e.g. {status} for %%{status}%%
+  for (const expected of [...missing]) {
+    const found = extra.find(token => nameOf(token) === nameOf(expected));
+    if (found) {
+      missing.splice(missing.indexOf(expected), 1);
+      extra.splice(extra.indexOf(found), 1);
+      problems.push(`The variable \`${expected}\` is written as \`${found}\`. Please keep the exact format \`${expected}\`.`);
+    }
+  }
+
+  // Pair up the remaining missing and extra tokens so that a single typo is reported as a rename
+  while (missing.length > 0 && extra.length > 0) {
+    const expected = missing.shift();
+    const found = extra.shift();
+
+    if (/[^\x00-\x7F]/.test(nameOf(found))) {
+      problems.push(`The variable \`${expected}\` appears to have been translated to \`${found}\`. Variables must not be translated.`);
+    } else {
+      problems.push(`The variable \`${expected}\` appears to have been renamed to \`${found}\`. Please use \`${expected}\`.`);
+    }
+  }
+
+  for (const token of missing) {
+    problems.push(`The variable \`${token}\` from the English string is missing from the translation.`);
+  }
+
+  for (const token of extra) {
+    problems.push(`The translation contains \`${token}\`, which is not in the English string. Please do not add variables.`);
+  }
+
+  return problems;
+}
+
+/**
+ * Run the placeholder check over the added lines of one file
+ * @param {Object} fileChange - { filename, changedLines }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkPlaceholders(fileChange) {
+  const comments = [];
+
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+
+    const pair = parseTranslationLine(line.content);
+    // Plural variants are compared with their English form by checkPlurals
+    if (!pair || pair.value === '' || parsePluralKey(pair.key)) {
+      continue;
+    }
+
+    const problems = comparePlaceholders(pair.key, pair.value);
+    if (problems.length > 0) {
+      comments.push({
+        type: 'error',
+        filename: fileChange.filename,
+        diffPosition: line.diffPosition,
+        message: problems.join(' '),
+        check: 'placeholder'
+      });
+    }
+  }
+
+  return comments;
+}
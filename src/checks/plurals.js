@@ -0,0 +1,199 @@
+/**
+ * plurals.js
+ * Rule-based check of i18next plural variants (`key_one`, `key_few`, `key_other`, ...). Keys are
+ * grouped by their plural base and compared with the CLDR plural categories of the locale.
+ */
+
+import { parseTranslationLine, parseLocalePath, parseJsonObject } from '../locale-util.js';
+import { comparePlaceholders } from './placeholders.js';
+
+const PLURAL_KEY_PATTERN = /^(.+)_(ordinal_)?(zero|one|two|few|many|other)$/;
+const COUNT_TOKEN = '{count}';
+const CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Numbers sampled to find out which counts a plural category covers. CLDR rules for whole numbers
+// repeat every 1000 below a million, so these stand for every count a UI shows
+const SAMPLE_NUMBERS = Array.from({ length: 2000 }, (_, number) => number);
+
+const rulesCache = new Map();
+
+/**
+ * Split an i18next plural key into its base and category
+ * @param {string} key - e.g. `{count} members_few` or `place_ordinal_two`
+ * @returns {Object|null} { base, ordinal, category }, or null if the key is not a plural variant
+ */
+export function parsePluralKey(key) {
+  const match = key.match(PLURAL_KEY_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { base: match[1], ordinal: Boolean(match[2]), category: match[3] };
+}
+
+/**
+ * The CLDR plural rules of a locale
+ * @param {string} locale - e.g. `pl` or `pt-BR`
+ * @param {boolean} ordinal - Ordinal (1st, 2nd) instead of cardinal rules
+ * @returns {Object|null} { categories, required, samples: Map category → covered numbers }, or null
+ *   if the runtime has no plural data for the locale. `required` leaves out categories that only
+ *   decimals or numbers from a million up use, such as French `many`
+ */
+export function getPluralRules(locale, ordinal = false) {
+  const cacheKey = `${locale}:${ordinal}`;
+  if (rulesCache.has(cacheKey)) {
+    return rulesCache.get(cacheKey);
+  }
+
+  let rules = null;
+  try {
+    if (Intl.PluralRules.supportedLocalesOf([locale]).length > 0) {
+      const pluralRules = new Intl.PluralRules(locale, { type: ordinal ? 'ordinal' : 'cardinal' });
+      const samples = new Map();
+      for (const number of SAMPLE_NUMBERS) {
+        const category = pluralRules.select(number);
+        if (!samples.has(category)) {
+          samples.set(category, []);
+        }
+        samples.get(category).push(number);
+      }
+      const categories = pluralRules.resolvedOptions().pluralCategories
+        .sort((a, b) => CATEGORY_ORDER.indexOf(a) - CATEGORY_ORDER.indexOf(b));
+      // i18next falls back to `other`, so it is always needed
+      const required = categories.filter(category => samples.has(category) || category === 'other');
+      rules = { categories, required, samples };
+    }
+  } catch (error) {
+    // Invalid locale tags such as a misnamed folder have no plural rules
+  }
+
+  rulesCache.set(cacheKey, rules);
+  return rules;
+}
+
+/**
+ * The English source of a plural variant: the English variant of the same category, else the
+ * English `other` form, else the base key itself (Ghost's English strings are their keys)
+ * @param {Object} english - Parsed English locale file
+ * @param {string} key - A plural variant key
+ * @returns {string|null} The English string, or null if the key is not a plural variant
+ */
+export function getPluralEnglish(english, key) {
+  const plural = parsePluralKey(key);
+  if (!plural) {
+    return null;
+  }
+  const otherKey = `${plural.base}_${plural.ordinal ? 'ordinal_' : ''}other`;
+  for (const candidate of [key, otherKey]) {
+    if (typeof english[candidate] === 'string' && english[candidate] !== '') {
+      return english[candidate];
+    }
+  }
+  return plural.base;
+}
+
+const formatSuffixes = (categories, ordinal) =>
+  categories.map(category => `\`_${ordinal ? 'ordinal_' : ''}${category}\``).join(', ');
+
+/**
+ * Check the plural variants touched by the added lines of a file
+ * @param {Object} fileChange - { filename, changedLines, currentFileContent, englishFileContent }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkPlurals(fileChange) {
+  const localePath = parseLocalePath(fileChange.filename);
+  if (!localePath) {
+    return [];
+  }
+
+  // Added plural variants, grouped by base
+  const groups = new Map();
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+    const pair = parseTranslationLine(line.content);
+    const plural = pair ? parsePluralKey(pair.key) : null;
+    if (!plural) {
+      continue;
+    }
+    const groupKey = `${plural.base}\u0000${plural.ordinal}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { base: plural.base, ordinal: plural.ordinal, lines: [] });
+    }
+    groups.get(groupKey).lines.push({ line, pair, category: plural.category });
+  }
+  if (groups.size === 0) {
+    return [];
+  }
+
+  const current = parseJsonObject(fileChange.currentFileContent);
+  const english = parseJsonObject(fileChange.englishFileContent);
+  const hasCurrentFile = Object.keys(current).length > 0;
+  const comments = [];
+  const comment = (type, line, message) => comments.push({
+    type,
+    filename: fileChange.filename,
+    diffPosition: line.diffPosition,
+    message,
+    check: 'plural'
+  });
+
+  for (const group of groups.values()) {
+    const rules = getPluralRules(localePath.locale, group.ordinal);
+    if (!rules) {
+      continue;
+    }
+    const required = formatSuffixes(rules.required, group.ordinal);
+
+    // The complete set of variants can only be known from the whole file
+    if (hasCurrentFile) {
+      const present = new Set(Object.keys(current)
+        .map(parsePluralKey)
+        .filter(plural => plural && plural.base === group.base && plural.ordinal === group.ordinal)
+        .map(plural => plural.category));
+      const missing = rules.required.filter(category => !present.has(category));
+      if (missing.length > 0) {
+        comment('error', group.lines[0].line,
+          `"${group.base}" is missing the plural ${missing.length === 1 ? 'form' : 'forms'} ${formatSuffixes(missing, group.ordinal)}. ` +
+          `${localePath.locale} needs ${required}.`);
+      }
+      // Only worth mentioning when the PR writes the forms a missing optional one falls back to,
+      // not on every later edit of the group
+      const addsMainForms = group.lines.some(({ category }) => category === 'one' || category === 'other');
+      const optional = rules.categories.filter(category => !rules.required.includes(category) && !present.has(category));
+      if (addsMainForms && optional.length > 0) {
+        comment('warning', group.lines[0].line,
+          `"${group.base}" has no ${formatSuffixes(optional, group.ordinal)} ${optional.length === 1 ? 'form' : 'forms'}. ` +
+          `${localePath.locale} uses ${optional.length === 1 ? 'it' : 'them'} only for decimals or for numbers from a million up, which fall back to \`_${group.ordinal ? 'ordinal_' : ''}other\`.`);
+      }
+    }
+
+    for (const { line, pair, category } of group.lines) {
+      // i18next looks up `_zero` for a count of 0 in every language, so it is never unnecessary
+      if (!rules.categories.includes(category) && category !== 'zero') {
+        comment('warning', line,
+          `${localePath.locale} has no \`${category}\` plural form, so \`${pair.key}\` is never used. ${localePath.locale} needs ${required}.`);
+        continue;
+      }
+
+      let source = getPluralEnglish(english, pair.key);
+      // A form for exactly one number (e.g. "one" in German) may spell the count out
+      const covered = rules.samples.get(category) || (category === 'zero' ? [0] : []);
+      if (covered.length === 1 && !pair.value.includes(COUNT_TOKEN)) {
+        source = source.replace(COUNT_TOKEN, '');
+      } else if (covered.length > 1 && source.includes(COUNT_TOKEN) && !pair.value.includes(COUNT_TOKEN)) {
+        const numbers = covered.length > 4 ? `${covered.slice(0, 4).join(', ')}, …` : covered.join(', ');
+        comment('error', line,
+          `The \`${category}\` form of ${localePath.locale} is used for ${numbers}, so it must contain \`${COUNT_TOKEN}\`.`);
+        continue;
+      }
+
+      const problems = comparePlaceholders(source, pair.value);
+      if (problems.length > 0) {
+        comment('error', line, problems.join(' '));
+      }
+    }
+  }
+
+  return comments;
+}
@@ -0,0 +1,233 @@
+/**
+ * punctuation.js
+ * Rule-based parity checks between a translation and its English source: trailing punctuation,
+ * surrounding whitespace, doubled spaces, ellipsis style, HTML tags and line breaks, and the
+ * casing of the first letter. Per-locale settings come from rules/punctuation.json.
+ */
+
+import { parseTranslationLine, parseLocalePath } from '../locale-util.js';
+
+// Settings used when rules/punctuation.json does not set them
+const DEFAULT_SETTINGS = {
+  trailingPunctuation: true,
+  optionalTrailing: [],
+  invertedMarks: false,
+  whitespace: true,
+  doubleSpaces: true,
+  ellipsis: 'match',
+  markup: true,
+  // Off by default: many languages inflect or reorder the start of a sentence
+  casing: false,
+  equivalents: {}
+};
+
+// Punctuation marks grouped with their locale-specific equivalents
+const PUNCTUATION_CLASSES = {
+  '.': ['.', '。', '．', '।', '۔', '።'],
+  '?': ['?', '？', '؟'],
+  '!': ['!', '！'],
+  ':': [':', '：'],
+  ',': [',', '，', '、', '،'],
+  ';': [';', '；', '؛'],
+  '…': ['…', '...', '⋯']
+};
+
+const MARK_TO_CLASS = new Map(Object.entries(PUNCTUATION_CLASSES)
+  .flatMap(([markClass, marks]) => marks.map(mark => [mark, markClass])));
+
+// Closing quotes and brackets that may follow the final punctuation mark
+const CLOSING_CHARACTERS = /["'”’»)\]」』】]+$/u;
+const TRAILING_SPACE = /\s+$/u;
+const DOUBLE_SPACE = /[ \u00a0\u202f]{2,}/;
+const TAG_PATTERN = /<\/?([a-zA-Z][\w-]*)[^>]*>/g;
+const PLACEHOLDER_PATTERN = /%%\{[^{}]*\}%%|\{[^{}]*\}/g;
+const LEADING_PLACEHOLDER_PATTERN = /^\s*(?:%%\{[^{}]*\}%%|\{[^{}]*\})/;
+
+/**
+ * Resolve the settings of a locale
+ * @param {Object|null} rules - Parsed rules/punctuation.json
+ * @param {string} locale - e.g. `es`
+ * @returns {Object} Settings with defaults filled in
+ */
+export function getPunctuationSettings(rules, locale) {
+  const defaults = { ...DEFAULT_SETTINGS, ...(rules && rules.default) };
+  const overrides = (rules && rules.locales && rules.locales[locale]) || {};
+  return {
+    ...defaults,
+    ...overrides,
+    equivalents: { ...defaults.equivalents, ...overrides.equivalents }
+  };
+}
+
+/**
+ * The trailing punctuation mark of a string, ignoring whitespace and closing quotes
+ * @returns {string|null} e.g. `?`, `。` or `...`
+ */
+function getTrailingMark(text, settings) {
+  const stripped = text.replace(TRAILING_SPACE, '').replace(CLOSING_CHARACTERS, '').replace(TRAILING_SPACE, '');
+  if (stripped.endsWith('...')) {
+    return '...';
+  }
+  const last = [...stripped].pop();
+  return last && (MARK_TO_CLASS.has(last) || settings.equivalents[last]) ? last : null;
+}
+
+function getMarkClass(mark, settings) {
+  if (!mark) {
+    return null;
+  }
+  return settings.equivalents[mark] || MARK_TO_CLASS.get(mark);
+}
+
+function countTags(text) {
+  const counts = new Map();
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const tag = match[0].startsWith('</') ? `</${match[1].toLowerCase()}>` : `<${match[1].toLowerCase()}>`;
+    counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return counts;
+}
+
+function getFirstLetter(text) {
+  const match = text.replace(PLACEHOLDER_PATTERN, '').match(/\p{L}/u);
+  return match ? match[0] : null;
+}
+
+const isUpperCase = letter => letter !== letter.toLowerCase() && letter === letter.toUpperCase();
+const isLowerCase = letter => letter !== letter.toUpperCase() && letter === letter.toLowerCase();
+const quote = text => `"${text}"`;
+
+/**
+ * Compare a translation with its English source
+ * @param {string} english - The English string
+ * @param {string} translation - The translated string
+ * @param {Object} settings - From getPunctuationSettings
+ * @returns {Array} Problem descriptions, empty if the strings match
+ */
+export function comparePunctuation(english, translation, settings = DEFAULT_SETTINGS) {
+  const problems = [];
+
+  if (settings.trailingPunctuation) {
+    const englishMark = getTrailingMark(english, settings);
+    const translationMark = getTrailingMark(translation, settings);
+    const englishClass = getMarkClass(englishMark, settings);
+    const translationClass = getMarkClass(translationMark, settings);
+
+    if (englishClass !== translationClass) {
+      if (!translationClass) {
+        if (!settings.optionalTrailing.includes(englishClass)) {
+          problems.push(`The English ends with ${quote(englishMark)}, but the translation has no ending punctuation.`);
+        }
+      } else if (!englishClass) {
+        problems.push(`The translation ends with ${quote(translationMark)}, but the English has no ending punctuation.`);
+      } else {
+        problems.push(`The English ends with ${quote(englishMark)}, but the translation ends with ${quote(translationMark)}.`);
+      }
+    } else if (settings.invertedMarks && (englishClass === '?' || englishClass === '!')) {
+      const inverted = englishClass === '?' ? '¿' : '¡';
+      if (!translation.includes(inverted)) {
+        problems.push(`The translation ends with ${quote(translationMark)} but has no opening ${quote(inverted)}.`);
+      }
+    }
+  }
+
+  if (settings.whitespace) {
+    for (const [position, pattern] of [['starts', /^\s/u], ['ends', /\s$/u]]) {
+      const englishHas = pattern.test(english);
+      const translationHas = pattern.test(translation);
+      if (translationHas && !englishHas) {
+        problems.push(`The translation ${position} with a space, but the English does not.`);
+      } else if (englishHas && !translationHas) {
+        problems.push(`The English ${position} with a space, but the translation does not.`);
+      }
+    }
+  }
+
+  if (settings.doubleSpaces && DOUBLE_SPACE.test(translation) && !DOUBLE_SPACE.test(english)) {
+    problems.push('The translation contains a double space.');
+  }
+
+  if (settings.ellipsis) {
+    // Either the style of the English, or the style the locale prefers
+    const expected = settings.ellipsis === 'match'
+      ? (english.includes('…') ? '…' : english.includes('...') ? '...' : null)
+      : settings.ellipsis;
+    const other = expected === '…' ? '...' : '…';
+    if (expected && translation.includes(other)) {
+      problems.push(`The translation uses ${quote(other)} for the ellipsis instead of ${quote(expected)}.`);
+    }
+  }
+
+  if (settings.markup) {
+    const englishTags = countTags(english);
+    const translationTags = countTags(translation);
+    for (const tag of new Set([...englishTags.keys(), ...translationTags.keys()])) {
+      const difference = (translationTags.get(tag) || 0) - (englishTags.get(tag) || 0);
+      if (difference < 0) {
+        problems.push(`The translation drops the HTML tag ${tag}.`);
+      } else if (difference > 0) {
+        problems.push(`The translation adds the HTML tag ${tag}.`);
+      }
+    }
+
+    const englishBreaks = (english.match(/\n/g) || []).length;
+    const translationBreaks = (translation.match(/\n/g) || []).length;
+    if (translationBreaks < englishBreaks) {
+      problems.push(`The translation has ${translationBreaks} line breaks, but the English has ${englishBreaks}.`);
+    } else if (translationBreaks > englishBreaks) {
+      problems.push(`The translation adds line breaks that the English does not have.`);
+    }
+  }
+
+  if (settings.casing) {
+    // Only a lost capital is flagged: many languages capitalize words that English does not.
+    // A translation that starts with a placeholder continues with a suffix or a lowercase word
+    const englishLetter = getFirstLetter(english);
+    const translationLetter = getFirstLetter(translation);
+    if (!LEADING_PLACEHOLDER_PATTERN.test(translation) && englishLetter && translationLetter && isUpperCase(englishLetter) && isLowerCase(translationLetter)) {
+      problems.push('The English starts with a capital letter, but the translation does not.');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check the punctuation, whitespace, markup and casing of all added lines in a file
+ * @param {Object} fileChange - { filename, changedLines }
+ * @param {Object} checkContext - { punctuationRules: parsed rules/punctuation.json }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkPunctuation(fileChange, checkContext) {
+  const localePath = parseLocalePath(fileChange.filename);
+  if (!localePath || localePath.locale === 'en') {
+    return [];
+  }
+  const settings = getPunctuationSettings(checkContext.punctuationRules, localePath.locale);
+  const comments = [];
+
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+
+    const pair = parseTranslationLine(line.content);
+    if (!pair || pair.value === '') {
+      continue;
+    }
+
+    const english = typeof line.english === 'string' ? line.english : pair.key;
+    const problems = comparePunctuation(english, pair.value, settings);
+    if (problems.length > 0) {
+      comments.push({
+        type: 'warning',
+        filename: fileChange.filename,
+        diffPosition: line.diffPosition,
+        message: problems.join(' '),
+        check: 'punctuation'
+      });
+    }
+  }
+
+  return comments;
+}
@@ -0,0 +1,234 @@
+/**
+ * security.js
+ * Deterministic defacement scan of added translations: links, email addresses, markup and
+ * scripts that the English source does not have, invisible or direction-changing characters,
+ * lookalike spellings of the Ghost brand, and profanity from rules/profanity/<locale>.json.
+ */
+
+import { parseTranslationLine, parseLocalePath } from '../locale-util.js';
+
+const URL_PATTERN = /\b(?:https?:\/\/|ftp:\/\/|www\.)[^\s"'<>)\]]+/giu;
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+const MARKDOWN_LINK_PATTERN = /!?\[[^\]]*\]\([^)]*\)/g;
+const TAG_PATTERN = /<\s*\/?\s*([a-zA-Z][\w-]*)[^>]*>/g;
+// `data:` only with a MIME type, since "Data:" is the word for "Date:" in several languages
+const SCRIPT_URL_PATTERN = /\b(?:(?:javascript|vbscript)\s*:|data\s*:\s*[\w.+-]+\/[\w.+-]+[;,])/gi;
+const EVENT_HANDLER_PATTERN = /\bon[a-z]+\s*=/gi;
+
+// Tags that can run code, load content or turn text into a link
+const DANGEROUS_TAGS = new Set([
+  'a', 'base', 'embed', 'form', 'frame', 'iframe', 'img', 'input', 'link', 'meta', 'object',
+  'script', 'style', 'svg', 'video', 'audio', 'math'
+]);
+
+// Bidi embeddings, overrides and isolates can make text display differently from how it reads
+const BIDI_PATTERN = /[\u202A-\u202E\u2066-\u2069]/gu;
+// ZWNJ and ZWJ are left out: Persian, Indic and other scripts need them
+const ZERO_WIDTH_PATTERN = /[\u200B\u2060\uFEFF\u180E]/gu;
+
+const BRAND_NAMES = ['Ghost'];
+
+// Letters from other scripts that look like the Latin letters of the brand names
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'с': 'c', 'е': 'e', 'ё': 'e', 'һ': 'h', 'н': 'h', 'і': 'i', 'ј': 'j',
+  'к': 'k', 'м': 'm', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'т': 't', 'у': 'y', 'х': 'x',
+  'ԍ': 'g', 'Ԍ': 'g', 'ɡ': 'g', 'ց': 'g', 'ɢ': 'g',
+  'α': 'a', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  'Α': 'a', 'Β': 'b', 'Ε': 'e', 'Η': 'h', 'Ι': 'i', 'Κ': 'k', 'Μ': 'm', 'Ν': 'n', 'Ο': 'o', 'Ρ': 'p', 'Τ': 't', 'Χ': 'x',
+  'А': 'a', 'В': 'b', 'С': 'c', 'Е': 'e', 'Н': 'h', 'І': 'i', 'К': 'k', 'М': 'm', 'О': 'o', 'Р': 'p', 'Ѕ': 's', 'Т': 't', 'Х': 'x',
+  '0': 'o', '5': 's', '$': 's', '6': 'g'
+};
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}$]+/gu;
+
+// Domains reserved for documentation (RFC 2606), which translators localize the address part of
+const EXAMPLE_DOMAIN_PATTERN = /(?:^|\.)(?:example\.(?:com|org|net)|[^.]+\.(?:example|test|invalid|localhost))$/i;
+
+const quote = text => `"${text}"`;
+const describeCodePoint = char => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+
+/**
+ * Tokens of a pattern in the translation that the English source does not contain
+ */
+function findNew(pattern, translation, english, normalize = token => token.toLowerCase()) {
+  const known = new Set([...english.matchAll(pattern)].map(match => normalize(match[0])));
+  return [...new Set([...translation.matchAll(pattern)].map(match => match[0]))]
+    .filter(token => !known.has(normalize(token)));
+}
+
+const getDomain = address => address.slice(address.lastIndexOf('@') + 1).toLowerCase();
+
+function toSkeleton(word) {
+  return [...word.normalize('NFKC')].map(char => CONFUSABLES[char] || char.toLowerCase()).join('');
+}
+
+/**
+ * Words that imitate a brand name with lookalike or full-width letters
+ * @param {string} text - A translated string
+ * @returns {Array} The imitating words
+ */
+export function findBrandImitations(text) {
+  const brands = new Set(BRAND_NAMES.map(brand => brand.toLowerCase()));
+  return [...new Set(text.match(WORD_PATTERN) || [])]
+    .filter(word => brands.has(toSkeleton(word)) && !brands.has(word.toLowerCase()));
+}
+
+/**
+ * Profane words in a string
+ * @param {string} text - A translated string
+ * @param {Array} words - Entries of the wordlists; a trailing `*` matches any ending
+ * @returns {Array} The matched words
+ */
+export function findProfanity(text, words) {
+  const found = [];
+  for (const token of new Set((text.toLowerCase().match(WORD_PATTERN) || []))) {
+    const match = words.some(word => word.endsWith('*')
+      ? token.startsWith(word.slice(0, -1).toLowerCase())
+      : token === word.toLowerCase());
+    if (match) {
+      found.push(token);
+    }
+  }
+  return found;
+}
+
+/**
+ * Scan a translation for injected content
+ * @param {string} english - The English source
+ * @param {string} translation - The translated string
+ * @param {Array} profanity - Words from the profanity lists of the locale and of English
+ * @returns {Array} Problem descriptions, empty if nothing was found
+ */
+export function scanTranslation(english, translation, profanity = []) {
+  const problems = [];
+
+  const urls = findNew(URL_PATTERN, translation, english);
+  if (urls.length > 0) {
+    problems.push(`The translation contains ${urls.length === 1 ? 'a link' : 'links'} that the English does not have: ${urls.map(quote).join(', ')}.`);
+  }
+
+  // A localized address is fine as long as it stays on a reserved domain or one the English uses
+  const englishDomains = new Set([...english.matchAll(EMAIL_PATTERN)].map(match => getDomain(match[0])));
+  const emails = findNew(EMAIL_PATTERN, translation, english)
+    .filter(email => !englishDomains.has(getDomain(email)) && !EXAMPLE_DOMAIN_PATTERN.test(getDomain(email)));
+  if (emails.length > 0) {
+    problems.push(`The translation contains ${emails.length === 1 ? 'an email address' : 'email addresses'} that the English does not have: ${emails.map(quote).join(', ')}.`);
+  }
+
+  const links = findNew(MARKDOWN_LINK_PATTERN, translation, english, token => token);
+  if (links.length > 0) {
+    problems.push(`The translation contains a Markdown link that the English does not have: ${links.map(quote).join(', ')}.`);
+  }
+
+  const tags = findNew(TAG_PATTERN, translation, english, token => token.replace(/\s+/g, '').toLowerCase())
+    .filter(tag => DANGEROUS_TAGS.has(tag.replace(/^<\s*\/?\s*/, '').match(/^[a-zA-Z][\w-]*/)[0].toLowerCase()) ||
+      /\bon[a-z]+\s*=/i.test(tag));
+  if (tags.length > 0) {
+    problems.push(`The translation adds HTML that the English does not have: ${tags.map(quote).join(', ')}.`);
+  }
+
+  const scripts = findNew(SCRIPT_URL_PATTERN, translation, english, token => token.replace(/\s+/g, '').toLowerCase());
+  const handlers = findNew(EVENT_HANDLER_PATTERN, translation, english, token => token.replace(/\s+/g, '').toLowerCase());
+  if (scripts.length > 0 || handlers.length > 0) {
+    problems.push(`The translation contains script code: ${[...scripts, ...handlers].map(quote).join(', ')}.`);
+  }
+
+  const bidi = [...new Set(translation.match(BIDI_PATTERN) || [])];
+  if (bidi.length > 0) {
+    problems.push(`The translation contains invisible bidirectional control characters (${bidi.map(describeCodePoint).join(', ')}) that can change how the text is displayed.`);
+  }
+
+  const zeroWidth = [...new Set(translation.match(ZERO_WIDTH_PATTERN) || [])];
+  if (zeroWidth.length > 0) {
+    problems.push(`The translation contains zero-width characters (${zeroWidth.map(describeCodePoint).join(', ')}).`);
+  }
+
+  const imitations = findBrandImitations(translation);
+  if (imitations.length > 0) {
+    problems.push(`${imitations.map(quote).join(', ')} imitates a brand name with lookalike characters.`);
+  }
+
+  const englishProfanity = new Set(findProfanity(english, profanity));
+  const profane = findProfanity(translation, profanity).filter(word => !englishProfanity.has(word));
+  if (profane.length > 0) {
+    problems.push(`The translation contains offensive language: ${profane.map(quote).join(', ')}.`);
+  }
+
+  return problems;
+}
+
+/**
+ * Scan the added lines of a file for defacement
+ * @param {Object} fileChange - { filename, changedLines }
+ * @param {Object} checkContext - { profanity: Map locale → words }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkSecurity(fileChange, checkContext) {
+  const localePath = parseLocalePath(fileChange.filename);
+  if (!localePath) {
+    return [];
+  }
+  const profanityLists = checkContext.profanity || new Map();
+  const profanity = [...(profanityLists.get(localePath.locale) || []), ...(localePath.locale === 'en' ? [] : profanityLists.get('en') || [])];
+  const comments = [];
+
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+
+    const pair = parseTranslationLine(line.content);
+    if (!pair || pair.value === '') {
+      continue;
+    }
+
+    // A new English string is compared with its own key
+    const english = typeof line.english === 'string' ? line.english : pair.key;
+    const problems = scanTranslation(localePath.locale === 'en' ? pair.key : english, pair.value, profanity);
+    if (problems.length > 0) {
+      comments.push({
+        type: 'error',
+        filename: fileChange.filename,
+        diffPosition: line.diffPosition,
+        message: problems.join(' '),
+        check: 'security'
+      });
+    }
+  }
+
+  return comments;
+}
+
+/**
+ * The security findings of a report's comments, for the top-level `securityFlags` section
+ * @param {Array} files - Report files with changedLines and comments
+ * @returns {Array} { filename, diffPosition, fileLineNumber, line, message }
+ */
+export function collectSecurityFlags(files) {
+  return files.flatMap(file => {
+    const linesByPosition = new Map((file.changedLines || []).map(line => [line.diffPosition, line]));
+    return (file.comments || [])
+      .filter(comment => comment.check === 'security')
+      .map(comment => {
+        const line = linesByPosition.get(comment.diffPosition);
+        return {
+          filename: file.filename,
+          diffPosition: comment.diffPosition,
+          fileLineNumber: line ? line.fileLineNumber : null,
+          line: line ? line.content.trim() : null,
+          message: comment.message
+        };
+      });
+  });
+}
+
+/**
+ * Describe security flags for the console, one per line
+ * @param {Array} flags - A report's `securityFlags`
+ * @returns {string}
+ */
+export function formatSecurityFlags(flags) {
+  return flags
+    .map(flag => `  ${flag.filename}${flag.fileLineNumber ? `:${flag.fileLineNumber}` : ''}: ${flag.message}`)
+    .join('\n');
+}
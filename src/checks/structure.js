@@ -0,0 +1,124 @@
+/**
+ * structure.js
+ * Key-parity check of a locale file against the English source file of the same namespace.
+ */
+
+import { listKeys } from '../locale-util.js';
+
+/**
+ * Indices of the longest strictly increasing subsequence of a list of numbers
+ */
+function longestIncreasingSubsequence(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+
+  for (let i = 0; i < values.length; i++) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < values[i]) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  }
+
+  const result = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.add(i);
+  }
+  return result;
+}
+
+/**
+ * Compare the keys of a locale file with its English source file
+ * @param {string} localeContent - The locale file at the PR head
+ * @param {string} englishContent - The English file at the same ref
+ * @returns {Object} { missingKeys, extraKeys, duplicateKeys, unsortedKeys }
+ */
+export function compareStructure(localeContent, englishContent) {
+  const localeKeys = listKeys(localeContent);
+  const englishKeys = listKeys(englishContent);
+  const englishOrder = new Map();
+  englishKeys.forEach(({ key }, index) => {
+    if (!englishOrder.has(key)) {
+      englishOrder.set(key, index);
+    }
+  });
+
+  const seen = new Map();
+  for (const { key, line } of localeKeys) {
+    if (!seen.has(key)) {
+      seen.set(key, []);
+    }
+    seen.get(key).push(line);
+  }
+
+  const missingKeys = [...englishOrder.keys()].filter(key => !seen.has(key));
+  const extraKeys = localeKeys
+    .filter(({ key }) => !englishOrder.has(key))
+    .map(({ key, line }) => ({ key, line }));
+  const duplicateKeys = [...seen.entries()]
+    .filter(([, lines]) => lines.length > 1)
+    .map(([key, lines]) => ({ key, lines }));
+
+  // Keys that share the English file's order form the longest increasing run of English
+  // indices; everything outside that run is reported as out of order
+  // (duplicates are already reported, so only the first occurrence of each key is ordered)
+  const ordered = localeKeys.filter(({ key, line }) => englishOrder.has(key) && seen.get(key)[0] === line);
+  const inOrder = longestIncreasingSubsequence(ordered.map(({ key }) => englishOrder.get(key)));
+  const unsortedKeys = ordered
+    .filter((entry, index) => !inOrder.has(index))
+    .map(({ key, line }) => ({ key, line }));
+
+  return { missingKeys, extraKeys, duplicateKeys, unsortedKeys };
+}
+
+/**
+ * Count the findings of a structure comparison
+ */
+export function countStructureIssues(structure) {
+  return structure.missingKeys.length +
+    structure.extraKeys.length +
+    structure.duplicateKeys.length +
+    structure.unsortedKeys.length;
+}
+
+/**
+ * Summarize the structure findings of several files as Markdown for the review body
+ * @param {Array} structureResults - Entries of the report's `structure` section
+ * @returns {string} Markdown summary, empty when there is nothing to report
+ */
+export function formatStructureSummary(structureResults) {
+  const lines = [];
+  const preview = keys => keys.slice(0, 5).map(key => `\`${key}\``).join(', ') + (keys.length > 5 ? `, and ${keys.length - 5} more` : '');
+
+  for (const result of structureResults) {
+    if (!result.missingKeys || countStructureIssues(result) === 0) {
+      continue;
+    }
+    const issues = [];
+    if (result.missingKeys.length > 0) {
+      issues.push(`${result.missingKeys.length} missing: ${preview(result.missingKeys)}`);
+    }
+    if (result.extraKeys.length > 0) {
+      issues.push(`${result.extraKeys.length} not in English: ${preview(result.extraKeys.map(k => k.key))}`);
+    }
+    if (result.duplicateKeys.length > 0) {
+      issues.push(`${result.duplicateKeys.length} duplicated: ${preview(result.duplicateKeys.map(k => k.key))}`);
+    }
+    if (result.unsortedKeys.length > 0) {
+      issues.push(`${result.unsortedKeys.length} out of order: ${preview(result.unsortedKeys.map(k => k.key))}`);
+    }
+    lines.push(`- \`${result.filename}\`: ${issues.join('; ')}`);
+  }
+
+  if (lines.length === 0) {
+    return '';
+  }
+  return `Compared with the English files, I noticed some differences in the keys:\n${lines.join('\n')}`;
+}
@@ -0,0 +1,54 @@
+/**
+ * translation-memory.js
+ * Consistency check against the translations already merged for the same locale.
+ */
+
+import { parseTranslationLine } from '../locale-util.js';
+import { getKeyContextId } from '../key-context.js';
+
+/**
+ * Flag added translations whose English source is already translated differently elsewhere
+ * @param {Object} fileChange - { filename, changedLines }
+ * @param {Object} checkContext - { memoryMatches: Map from findMemoryMatches }
+ * @returns {Array} Comments in the same shape as the AI analysis comments
+ */
+export function checkTranslationMemory(fileChange, checkContext) {
+  const comments = [];
+
+  for (const line of fileChange.changedLines) {
+    if (line.type !== 'added') {
+      continue;
+    }
+
+    const match = checkContext.memoryMatches.get(getKeyContextId(fileChange.filename, line.diffPosition));
+    const pair = parseTranslationLine(line.content);
+    if (!match || !pair || pair.value === '') {
+      continue;
+    }
+
+    // One example per distinct existing translation
+    const inconsistent = new Map();
+    for (const entry of match.exact) {
+      if (entry.translation.trim() !== pair.value.trim() && !inconsistent.has(entry.translation)) {
+        inconsistent.set(entry.translation, entry);
+      }
+    }
+    if (inconsistent.size === 0) {
+      continue;
+    }
+
+    const existing = [...inconsistent.values()]
+      .map(entry => `"${entry.translation}" (${entry.namespace}.json)`)
+      .join(' and ');
+
+    comments.push({
+      type: 'warning',
+      filename: fileChange.filename,
+      diffPosition: line.diffPosition,
+      message: `Inconsistent with the existing translation of "${match.english}": ${existing}. Unless the context is different here, could you please use the same wording?`,
+      check: 'translation-memory'
+    });
+  }
+
+  return comments;
+}
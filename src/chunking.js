@@ -0,0 +1,123 @@
+/**
+ * chunking.js
+ * Token-budgeted batching of added lines for PRs that are too large for a single AI prompt.
+ * Each chunk carries only the per-key context and nearby file lines relevant to its lines.
+ */
+
+import { parseTranslationLine } from './locale-util.js';
+
+// Rough overhead of the per-file headings in a chunk prompt
+const FILE_OVERHEAD_TOKENS = 50;
+
+/**
+ * Estimate the number of tokens in a string. About four characters per token holds well
+ * enough for English; scripts such as Cyrillic or CJK use more tokens per character, so
+ * non-ASCII characters are counted as one token each to stay on the safe side.
+ * @param {string} text - The text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const nonAscii = text.match(/[^\x00-\x7F]/g);
+  const nonAsciiCount = nonAscii ? nonAscii.length : 0;
+  return Math.ceil((text.length - nonAsciiCount) / 4) + nonAsciiCount;
+}
+
+/**
+ * Pick the context.json entries for the keys on the given lines
+ * @param {Object} context - Parsed context.json
+ * @param {Array} lines - Changed lines
+ * @returns {Object} The matching subset of context.json
+ */
+export function getContextEntries(context, lines) {
+  const entries = {};
+  for (const line of lines) {
+    const pair = parseTranslationLine(line.content);
+    if (pair && typeof context[pair.key] === 'string') {
+      entries[pair.key] = context[pair.key];
+    }
+  }
+  return entries;
+}
+
+/**
+ * Extract the lines around the given line numbers from a file, merging overlapping ranges
+ * @param {string} fileContent - The complete file content
+ * @param {Array} lineNumbers - 1-based line numbers in the file
+ * @param {number} radius - Number of lines to include before and after each line
+ * @returns {string} Numbered excerpt, with `...` between ranges
+ */
+export function getNearbyLines(fileContent, lineNumbers, radius = 2) {
+  if (!fileContent) {
+    return '';
+  }
+
+  const fileLines = fileContent.split('\n');
+  const ranges = [...lineNumbers]
+    .filter(n => typeof n === 'number')
+    .sort((a, b) => a - b)
+    .map(n => [Math.max(1, n - radius), Math.min(fileLines.length, n + radius)]);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+
+  return merged.map(([start, end]) => fileLines
+    .slice(start - 1, end)
+    .map((text, offset) => `${start + offset}: ${text}`)
+    .join('\n')
+  ).join('\n...\n');
+}
+
+/**
+ * Split the added lines of several files into chunks that fit the token budget
+ * @param {Array} filesWithChanges - File changes with at least one added line
+ * @param {Object} options - { maxTokens, radius, lineContext(file, line) → context text sent for the line }
+ * @returns {Array} Chunks: { files: [fileChange with a subset of changedLines] }
+ */
+export function chunkFileChanges(filesWithChanges, { maxTokens, radius = 2, lineContext = () => '' }) {
+  const chunks = [];
+  let current = { files: [], tokens: 0 };
+
+  const lineCost = (file, line) => estimateTokens(line.content) * 2 +
+    estimateTokens(lineContext(file, line)) +
+    estimateTokens(getNearbyLines(file.currentFileContent, [line.fileLineNumber], radius));
+
+  for (const file of filesWithChanges) {
+    for (const line of file.changedLines.filter(l => l.type === 'added')) {
+      const cost = lineCost(file, line);
+      let fileEntry = current.files.find(f => f.filename === file.filename);
+
+      // Start a new chunk when this line would overflow the current one. A single line
+      // that exceeds the budget on its own still gets a chunk to itself.
+      const needed = cost + (fileEntry ? 0 : FILE_OVERHEAD_TOKENS);
+      if (current.files.length > 0 && current.tokens + needed > maxTokens) {
+        chunks.push(current);
+        current = { files: [], tokens: 0 };
+        fileEntry = null;
+      }
+
+      if (!fileEntry) {
+        fileEntry = { ...file, changedLines: [] };
+        current.files.push(fileEntry);
+        current.tokens += FILE_OVERHEAD_TOKENS;
+      }
+      fileEntry.changedLines.push(line);
+      current.tokens += cost;
+    }
+  }
+
+  if (current.files.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks.map(({ files }) => ({ files }));
+}
@@ -0,0 +1,108 @@
+/**
+ * compositions.js
+ * Some strings embed other translated strings, e.g. "You are a %%{status}%% subscriber to {site}."
+ * takes the translated "free", "paid", ... strings. The slots and the keys that fill them are
+ * listed in rules/compositions.json; this module renders every combination from the PR-head
+ * locale file, so reviewers and the AI see the sentences readers will get.
+ */
+
+import { parseTranslationLine, parseLocalePath, parseJsonObject } from './locale-util.js';
+
+const SLOT_PATTERN = /%%\{([^{}]*)\}%%/g;
+
+// Keeps a template with many slots from producing an unreadable number of sentences
+const MAX_RENDERINGS = 50;
+
+/**
+ * Render the compositions a file's added lines take part in
+ * @param {Object} fileChange - { filename, changedLines, currentFileContent }
+ * @param {Object|null} rules - Parsed rules/compositions.json: { slots: { name: [English keys] } }
+ * @returns {Array} { template, translation, renderings: [{ values, english, rendered, diffPositions }] }
+ */
+export function buildCompositions(fileChange, rules) {
+  const localePath = parseLocalePath(fileChange.filename);
+  const slots = (rules && rules.slots) || {};
+  if (!localePath || localePath.locale === 'en' || Object.keys(slots).length === 0) {
+    return [];
+  }
+
+  const current = parseJsonObject(fileChange.currentFileContent);
+  const addedPositions = new Map();
+  for (const line of fileChange.changedLines) {
+    const pair = line.type === 'added' ? parseTranslationLine(line.content) : null;
+    if (pair) {
+      addedPositions.set(pair.key, line.diffPosition);
+    }
+  }
+  if (addedPositions.size === 0) {
+    return [];
+  }
+
+  // i18next falls back to the English string when a translation is empty or missing
+  const translate = key => typeof current[key] === 'string' && current[key] !== '' ? current[key] : key;
+
+  const compositions = [];
+  for (const template of Object.keys(current)) {
+    const names = [...new Set([...template.matchAll(SLOT_PATTERN)].map(match => match[1].trim()))]
+      .filter(name => Array.isArray(slots[name]) && slots[name].length > 0);
+    if (names.length === 0) {
+      continue;
+    }
+
+    // Only compositions with a line changed in this PR
+    const contributing = [template, ...names.flatMap(name => slots[name])];
+    if (!contributing.some(key => addedPositions.has(key))) {
+      continue;
+    }
+
+    const renderings = [];
+    for (const values of combine(names, slots)) {
+      if (renderings.length >= MAX_RENDERINGS) {
+        break;
+      }
+      const keys = [template, ...Object.values(values)];
+      renderings.push({
+        values,
+        english: fillSlots(template, name => values[name]),
+        rendered: fillSlots(translate(template), name => translate(values[name])),
+        diffPositions: keys.filter(key => addedPositions.has(key)).map(key => addedPositions.get(key))
+      });
+    }
+
+    compositions.push({ template, translation: translate(template), renderings });
+  }
+
+  return compositions;
+}
+
+/**
+ * Format rendered compositions for the AI prompt
+ * @param {Array} compositions - From buildCompositions
+ * @param {Set} positions - diffPositions the AI may comment on; renderings without one are left out
+ * @returns {string} One line per rendered sentence, empty if there are none
+ */
+export function formatCompositions(compositions, positions) {
+  return (compositions || []).flatMap(composition => composition.renderings
+    .map(rendering => ({ ...rendering, diffPositions: rendering.diffPositions.filter(position => positions.has(position)) }))
+    .filter(rendering => rendering.diffPositions.length > 0)
+    .map(rendering => `- "${rendering.rendered}" (English: "${rendering.english}"; changed lines: diffPosition ${rendering.diffPositions.join(', ')})`)
+  ).join('\n');
+}
+
+function* combine(names, slots, values = {}) {
+  if (names.length === 0) {
+    yield { ...values };
+    return;
+  }
+  const [name, ...rest] = names;
+  for (const key of slots[name]) {
+    yield* combine(rest, slots, { ...values, [name]: key });
+  }
+}
+
+function fillSlots(text, valueOf) {
+  return text.replace(SLOT_PATTERN, (token, name) => {
+    const value = valueOf(name.trim());
+    return value === undefined ? token : value;
+  });
+}
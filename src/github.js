@@ -1,12 +1,56 @@
 import { Octokit } from '@octokit/rest';
 import fs from 'fs/promises';
 import chalk from 'chalk';
+import crypto from 'crypto';
+import { normalizeSuggestedLine } from './locale-util.js';
+import { isTriaged, TRIAGE_ACCEPTED, TRIAGE_REJECTED } from './triage.js';
 
 const octokit = new Octokit({
   auth: process.env.GITHUB_TOKEN,
 });
 
-export async function postComments(prNumber, reportFile) {
+// Hidden marker added to every line comment so re-runs can recognise what was already posted
+const COMMENT_MARKER = 'ghost-i18n-tooling';
+const COMMENT_MARKER_PATTERN = new RegExp(`<!-- ${COMMENT_MARKER}:([0-9a-f]+) -->`);
+
+// Review events accepted by --event, and the GitHub API event each one submits
+const REVIEW_EVENTS = {
+  'comment': 'COMMENT',
+  'approve': 'APPROVE',
+  'request-changes': 'REQUEST_CHANGES',
+};
+
+/**
+ * Resolve the review event to submit. `auto` requests changes if any comment is an error,
+ * comments if there are other comments and approves if nothing was found.
+ * @param {string|undefined} event - comment, approve, request-changes or auto; nothing keeps the review as a draft
+ * @param {Array} comments - All comments that are part of the review
+ * @returns {string|null} The GitHub review event, or null for a draft review
+ */
+export function resolveReviewEvent(event, comments) {
+  if (!event) {
+    return null;
+  }
+  if (event === 'auto') {
+    if (comments.some(comment => (comment.type || '').toLowerCase() === 'error')) {
+      return REVIEW_EVENTS['request-changes'];
+    }
+    return comments.length > 0 ? REVIEW_EVENTS.comment : REVIEW_EVENTS.approve;
+  }
+  if (!REVIEW_EVENTS[event]) {
+    throw new Error(`Unknown review event "${event}" (use ${[...Object.keys(REVIEW_EVENTS), 'auto'].join(', ')})`);
+  }
+  return REVIEW_EVENTS[event];
+}
+
+/**
+ * Post the comments of a report as a review on the PR
+ * @param {number|string} prNumber - The PR to review
+ * @param {string} reportFile - Path of the JSON report
+ * @param {Object} options - { event: comment, approve, request-changes or auto to submit the review instead of leaving a draft }
+ * @returns {Promise<Object>} Counts: { posted, alreadyPosted, outdated, event }
+ */
+export async function postComments(prNumber, reportFile, options = {}) {
   console.log(chalk.blue('📖 Loading report...'));
   
   // Load the report
@@ -16,6 +60,24 @@ export async function postComments(prNumber, reportFile) {
   console.log(chalk.green(`✅ Loaded report for PR #${report.prNumber}`));
   console.log(chalk.cyan(`📊 Found ${report.summary.totalComments} comments across ${report.summary.filesWithComments} files`));
 
+  // Rejected comments are never posted; after triage, neither are undecided ones. Comments carried
+  // into a re-analyzed report keep their decisions, but the report itself is untriaged again
+  const triaged = isTriaged(report);
+  const files = report.files.map(file => ({
+    ...file,
+    comments: (file.comments || []).filter(comment => triaged ? comment.triage === TRIAGE_ACCEPTED : comment.triage !== TRIAGE_REJECTED)
+  }));
+  const skipped = report.files.reduce((sum, file) => sum + (file.comments || []).length, 0)
+    - files.reduce((sum, file) => sum + file.comments.length, 0);
+  if (triaged) {
+    console.log(chalk.cyan(`📋 The report was triaged: posting only accepted comments (${skipped} rejected or undecided)`));
+  } else if (skipped > 0) {
+    console.log(chalk.cyan(`📋 Skipping ${skipped} comments rejected in an earlier triage`));
+  }
+
+  // The verdict covers every comment of the review, including those posted by earlier runs
+  const event = resolveReviewEvent(options.event, files.flatMap(file => file.comments || []));
+
   // Fetch PR to get the latest head SHA (needed for line/side comments)
   const { data: pr } = await octokit.pulls.get({
     owner: process.env.GITHUB_OWNER,
@@ -24,29 +86,63 @@ export async function postComments(prNumber, reportFile) {
   });
   const headSha = pr.head.sha;
 
+  // Check for existing reviews and comments so that nothing is posted twice
+  const { data: existingReviews } = await octokit.pulls.listReviews({
+    owner: process.env.GITHUB_OWNER,
+    repo: process.env.GITHUB_REPO,
+    pull_number: prNumber,
+  });
+  const pendingReview = existingReviews.find(review => review.state === 'PENDING');
+  const existingComments = await listExistingReviewComments(prNumber, pendingReview);
+  const existingIds = new Set(existingComments.map(c => getMarkerId(c.body)).filter(Boolean));
+  const existingBodies = new Set(existingComments.map(c => `${c.path}:${c.line}:${normalizeCommentBody(c.body)}`));
+
   // Collect all comments from all files
   const allComments = [];
+  const currentIds = new Set();
+  let alreadyPosted = 0;
   
-  for (const file of report.files) {
+  for (const file of files) {
     if (file.comments && file.comments.length > 0) {
-      // Build a lookup to map diffPosition -> fileLineNumber derived during analysis
+      // Build a lookup to map diffPosition -> changed line derived during analysis
       const posToLine = new Map();
       if (Array.isArray(file.changedLines)) {
         for (const ln of file.changedLines) {
           if (typeof ln.diffPosition === 'number' && typeof ln.fileLineNumber === 'number') {
-            posToLine.set(ln.diffPosition, ln.fileLineNumber);
+            posToLine.set(ln.diffPosition, ln);
           }
         }
       }
 
       for (const comment of file.comments) {
-        const lineNumber = posToLine.get(comment.diffPosition);
+        const changedLine = posToLine.get(comment.diffPosition);
+        const lineNumber = changedLine ? changedLine.fileLineNumber : undefined;
         if (typeof lineNumber === 'number' && lineNumber > 0) {
+          // Only offer a one-click fix when it keeps the line valid JSON with the same key
+          let suggestion = null;
+          if (comment.suggestion) {
+            suggestion = normalizeSuggestedLine(changedLine.content, comment.suggestion);
+            if (!suggestion) {
+              console.log(chalk.yellow(`⚠️  Dropping invalid suggestion for ${file.filename}:${lineNumber}: ${comment.suggestion}`));
+            }
+          }
+
+          // The marker ties the comment to the line's content, so it changes when the line is rewritten
+          const markerId = getCommentMarkerId(file.filename, changedLine.content, comment.message);
+          const body = formatLineComment(comment, suggestion, markerId);
+          currentIds.add(markerId);
+
+          // Comments posted before markers existed are matched on path, line and body
+          if (existingIds.has(markerId) || existingBodies.has(`${file.filename}:${lineNumber}:${normalizeCommentBody(body)}`)) {
+            alreadyPosted++;
+            continue;
+          }
+
           allComments.push({
             path: file.filename,
             line: lineNumber,
             side: 'RIGHT', // We only comment on added lines in the new file
-            body: formatLineComment(comment, 'comment')
+            body
           });
         } else {
           console.log(chalk.yellow(`⚠️  Could not map diffPosition ${comment.diffPosition} to a line number for ${file.filename}`));
@@ -55,27 +151,41 @@ export async function postComments(prNumber, reportFile) {
     }
   }
 
-  // Use the consolidated overall comment from the report
-  const overallComment = report.overallComment;
+  // Our earlier comments on lines that have since changed: GitHub marks them as outdated by
+  // clearing their line, and their markers no longer match any current comment
+  const outdated = existingComments.filter(c => {
+    const markerId = getMarkerId(c.body);
+    return markerId && !currentIds.has(markerId) && (c.line === null || c.line === undefined);
+  }).length;
+
+  const counts = { posted: allComments.length, alreadyPosted, outdated, event };
+  console.log(chalk.cyan(`📊 ${counts.posted} new, ${counts.alreadyPosted} already posted, ${counts.outdated} outdated line comments`));
+
+  // Use the consolidated overall comment from the report, unless an earlier run already posted it
+  let overallComment = report.overallComment;
+  if (overallComment && existingReviews.some(review => review.body && review.body.includes(formatOverallComment(overallComment)))) {
+    console.log(chalk.gray('📋 The overall comment was already posted'));
+    overallComment = null;
+  }
 
-  console.log(chalk.blue(`📝 Preparing ${allComments.length} line comments for ${report.files.filter(f => f.comments && f.comments.length > 0).length} files...`));
+  console.log(chalk.blue(`📝 Preparing ${allComments.length} line comments for ${files.filter(f => f.comments && f.comments.length > 0).length} files...`));
 
-  if (allComments.length === 0 && (!overallComment || overallComment.length === 0)) {
+  // Without an event there is nothing to submit, so an empty run can stop here
+  if (!event && allComments.length === 0 && (!overallComment || overallComment.length === 0)) {
     console.log(chalk.yellow('⚠️  No comments to post'));
-    return;
+    await recordPosted(report, reportFile);
+    return counts;
+  }
+
+  // Do not submit the same verdict twice for the same commit
+  if (event && allComments.length === 0 && !overallComment && report.review && report.review.event === event && report.review.headSha === headSha) {
+    console.log(chalk.gray(`📋 The review (${event}) was already submitted for ${headSha.substring(0, 7)}`));
+    await recordPosted(report, reportFile);
+    return counts;
   }
 
   // Create a single draft review with all comments
   try {
-    // Check for existing pending reviews
-    const { data: existingReviews } = await octokit.pulls.listReviews({
-      owner: process.env.GITHUB_OWNER,
-      repo: process.env.GITHUB_REPO,
-      pull_number: prNumber,
-    });
-
-    const pendingReview = existingReviews.find(review => review.state === 'PENDING');
-    
     if (pendingReview) {
       // Update existing pending review
       console.log(chalk.blue(`📝 Found existing pending review, adding ${allComments.length} comments...`));
@@ -94,26 +204,43 @@ export async function postComments(prNumber, reportFile) {
         });
       }
 
-      // Update review body if there is an overall comment
-      if (overallComment) {
-        const newBody = pendingReview.body 
-          ? `${pendingReview.body}\n\n---\n${formatOverallComment(overallComment)}`
-          : formatOverallComment(overallComment);
-          
-        await octokit.pulls.updateReview({
+      const newBody = overallComment
+        ? (pendingReview.body ? `${pendingReview.body}\n\n---\n${formatOverallComment(overallComment)}` : formatOverallComment(overallComment))
+        : null;
+
+      if (event) {
+        // Submitting the pending review publishes it together with its comments
+        await octokit.pulls.submitReview({
           owner: process.env.GITHUB_OWNER,
           repo: process.env.GITHUB_REPO,
           pull_number: prNumber,
           review_id: pendingReview.id,
-          body: newBody
+          event,
+          body: newBody || pendingReview.body || formatVerdictBody(event)
         });
-      }
+        console.log(chalk.green(`✅ Added ${allComments.length} comments and submitted the review (${event})`));
+      } else {
+        // Update review body if there is an overall comment
+        if (newBody) {
+          await octokit.pulls.updateReview({
+            owner: process.env.GITHUB_OWNER,
+            repo: process.env.GITHUB_REPO,
+            pull_number: prNumber,
+            review_id: pendingReview.id,
+            body: newBody
+          });
+        }
 
-      console.log(chalk.green(`✅ Added ${allComments.length} comments to existing review`));
+        console.log(chalk.green(`✅ Added ${allComments.length} comments to existing review`));
+      }
       
     } else {
-      // Create new draft review with all comments
-      const reviewBody = overallComment ? formatOverallComment(overallComment) : undefined;
+      // Create a new review with all comments; without an event it stays a draft
+      let reviewBody = overallComment ? formatOverallComment(overallComment) : undefined;
+      if (event && !reviewBody && allComments.length === 0) {
+        // GitHub rejects a review without a body or comments
+        reviewBody = formatVerdictBody(event);
+      }
 
       await octokit.pulls.createReview({
         owner: process.env.GITHUB_OWNER,
@@ -122,45 +249,119 @@ export async function postComments(prNumber, reportFile) {
         commit_id: headSha,
         comments: allComments,
         body: reviewBody,
-        // No event specified = creates a draft review
+        ...(event ? { event } : {}),
       });
 
-      console.log(chalk.green(`✅ Created draft review with ${allComments.length} line comments`));
-      console.log(chalk.blue(`📝 You can now edit the review in GitHub before submitting it`));
+      if (event) {
+        console.log(chalk.green(`✅ Submitted review (${event}) with ${allComments.length} line comments`));
+      } else {
+        console.log(chalk.green(`✅ Created draft review with ${allComments.length} line comments`));
+        console.log(chalk.blue(`📝 You can now edit the review in GitHub before submitting it`));
+      }
+    }
+
+    if (event) {
+      // Record the verdict in the report
+      report.review = {
+        event,
+        policy: options.event,
+        headSha,
+        submittedAt: new Date().toISOString(),
+      };
     }
+    await recordPosted(report, reportFile);
     
   } catch (error) {
-    console.error(chalk.red(`❌ Failed to create/update review:`), error.message);
+    // Callers must not treat the PR as posted, so that the next run tries again
+    throw new Error(`Failed to create/update review: ${error.message}`);
   }
 
   console.log(chalk.green('✅ All line comments posted successfully!'));
+  return counts;
 }
 
-function formatLineComment(item, type) {
-  const icon = getIssueIcon(item.type);
-  
+/**
+ * Record in the report that its comments were posted, so that `review-all` can skip the PR
+ * until new commits are pushed. Dry runs and held reports never get this mark.
+ */
+async function recordPosted(report, reportFile) {
+  report.posted = { headSha: report.headSha, postedAt: new Date().toISOString() };
+  await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+}
+
+/**
+ * Fetch the PR's review comments, including those of our own pending review, which
+ * GitHub leaves out of the regular listing until the review is submitted
+ */
+async function listExistingReviewComments(prNumber, pendingReview) {
+  const comments = await octokit.paginate(octokit.pulls.listReviewComments, {
+    owner: process.env.GITHUB_OWNER,
+    repo: process.env.GITHUB_REPO,
+    pull_number: prNumber,
+    per_page: 100,
+  });
+
+  if (pendingReview) {
+    const pendingComments = await octokit.paginate(octokit.pulls.listCommentsForReview, {
+      owner: process.env.GITHUB_OWNER,
+      repo: process.env.GITHUB_REPO,
+      pull_number: prNumber,
+      review_id: pendingReview.id,
+      per_page: 100,
+    });
+    const knownIds = new Set(comments.map(c => c.id));
+    comments.push(...pendingComments.filter(c => !knownIds.has(c.id)));
+  }
+
+  return comments;
+}
+
+function getCommentMarkerId(path, lineContent, message) {
+  return crypto
+    .createHash('sha1')
+    .update(`${path}\n${lineContent.trim()}\n${normalizeCommentBody(message)}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+function getMarkerId(body) {
+  const match = (body || '').match(COMMENT_MARKER_PATTERN);
+  return match ? match[1] : null;
+}
+
+function normalizeCommentBody(body) {
+  return (body || '').replace(COMMENT_MARKER_PATTERN, '').replace(/\s+/g, ' ').trim();
+}
+
+function formatLineComment(item, suggestion = null, markerId = null) {
   let body = `🤖 AI: ${item.message}\n\n`;
+
+  if (suggestion) {
+    body += `\`\`\`suggestion\n${suggestion}\n\`\`\`\n`;
+  }
+
+  if (markerId) {
+    body += `<!-- ${COMMENT_MARKER}:${markerId} -->`;
+  }
   
   return body;
 }
 
-function formatOverallComment(overall) {
-  return `📋 ${overall}\n\n---\n*Drafted with my new i18n tooling - feedback welcome*`;
-}
-
-function getIssueIcon(type) {
-  switch (type.toLowerCase()) {
-    case 'error':
-      return '❌';
-    case 'warning':
-      return '⚠️';
-    case 'info':
-      return 'ℹ️';
+function formatVerdictBody(event) {
+  switch (event) {
+    case 'APPROVE':
+      return '✅ No i18n issues found - thank you!';
+    case 'REQUEST_CHANGES':
+      return '❌ Please have a look at the comments before this is merged.';
     default:
-      return '📝';
+      return '📋 Please have a look at the comments.';
   }
 }
 
+function formatOverallComment(overall) {
+  return `📋 ${overall}\n\n---\n*Drafted with my new i18n tooling - feedback welcome*`;
+}
+
 export async function deleteEmptyPendingReview(prNumber) {
   try {
     const { data: reviews } = await octokit.pulls.listReviews({
@@ -0,0 +1,148 @@
+/**
+ * glossary.js
+ * Per-locale glossaries of approved (and forbidden) translations of common Ghost terms.
+ *
+ * Glossaries live in rules/glossary/<locale>.json:
+ *
+ *   {
+ *     "newsletter": { "approved": ["Newsletter"], "forbidden": ["Rundbrief"] },
+ *     "member": { "approved": ["Mitglied"] }
+ *   }
+ *
+ * Approved and forbidden renderings are matched case-insensitively as substrings, so a stem
+ * such as "Mitglied" also matches inflected forms like "Mitgliedern".
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { RULES_DIR } from './rules.js';
+
+export const GLOSSARY_DIR = path.join(RULES_DIR, 'glossary');
+
+// Terms that `glossary suggest` looks for when no terms are given
+export const DEFAULT_GLOSSARY_TERMS = [
+  'account', 'billing', 'comment', 'complimentary', 'email', 'free', 'member', 'membership',
+  'newsletter', 'paid', 'plan', 'post', 'recommendation', 'sign in', 'sign up', 'site',
+  'subscribe', 'subscriber', 'subscription', 'tier', 'trial', 'unsubscribe'
+];
+
+/**
+ * Load the glossary for a locale
+ * @param {string} locale - e.g. `de`
+ * @returns {Promise<Object|null>} term → { approved, forbidden }, or null if there is none
+ */
+export async function loadGlossary(locale) {
+  try {
+    const content = await fs.readFile(path.join(GLOSSARY_DIR, `${locale}.json`), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Invalid glossary for ${locale}: ${error.message}`);
+  }
+}
+
+/**
+ * Save a glossary for a locale
+ */
+export async function saveGlossary(locale, glossary) {
+  await fs.mkdir(GLOSSARY_DIR, { recursive: true });
+  const file = path.join(GLOSSARY_DIR, `${locale}.json`);
+  await fs.writeFile(file, `${JSON.stringify(glossary, null, 2)}\n`, 'utf8');
+  return file;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether an English string contains a term as a whole word (plurals included)
+ * @param {string} text - English string
+ * @param {string} term - Glossary term, e.g. `newsletter` or `sign in`
+ * @returns {boolean}
+ */
+export function containsTerm(text, term) {
+  const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(term)}(s|es)?($|[^\\p{L}])`, 'iu');
+  return pattern.test(text);
+}
+
+/**
+ * Find the first of several renderings contained in a translation
+ * @param {string} text - Translated string
+ * @param {Array} renderings - Approved or forbidden renderings
+ * @returns {string|null} The matching rendering
+ */
+export function findRendering(text, renderings = []) {
+  const lower = text.toLocaleLowerCase();
+  return renderings.find(rendering => lower.includes(rendering.toLocaleLowerCase())) || null;
+}
+
+/**
+ * Split a translated string into lowercase words
+ */
+function tokenize(text) {
+  return (text.toLocaleLowerCase().match(/[\p{L}\p{M}]+/gu) || []);
+}
+
+/**
+ * Derive candidate glossary entries from existing locale files. For each term, the words
+ * that appear in the translations of English strings containing the term, but rarely in
+ * other translations, are the likely renderings of the term.
+ * @param {Object} englishFiles - namespace → English locale file
+ * @param {Object} localeFiles - namespace → translated locale file
+ * @param {Array} terms - English terms to look for
+ * @returns {Array} { term, strings, candidates: [{ word, coverage }] } sorted by term
+ */
+export function suggestGlossary(englishFiles, localeFiles, terms = DEFAULT_GLOSSARY_TERMS) {
+  const pairs = [];
+  for (const [namespace, english] of Object.entries(englishFiles)) {
+    const translations = localeFiles[namespace] || {};
+    for (const key of Object.keys(english)) {
+      if (typeof translations[key] === 'string' && translations[key] !== '') {
+        pairs.push({ key, words: new Set(tokenize(translations[key])) });
+      }
+    }
+  }
+
+  return terms.map(term => {
+    const matching = pairs.filter(pair => containsTerm(pair.key, term));
+    const others = pairs.filter(pair => !containsTerm(pair.key, term));
+    if (matching.length === 0) {
+      return { term, strings: 0, candidates: [] };
+    }
+
+    // A word also counts for its inflected forms, e.g. "mitglied" for "mitgliedern"
+    const hasWord = (pair, word) => word.length >= 4
+      ? [...pair.words].some(other => other.startsWith(word))
+      : pair.words.has(word);
+
+    const words = new Set(matching.flatMap(pair => [...pair.words]));
+    const ranked = [...words]
+      .filter(word => word.length > 1)
+      .map(word => {
+        const coverage = matching.filter(pair => hasWord(pair, word)).length / matching.length;
+        const background = others.length > 0 ? others.filter(pair => hasWord(pair, word)).length / others.length : 0;
+        return { word, coverage, score: coverage - background };
+      })
+      .filter(candidate => candidate.coverage >= 0.3 && candidate.score > 0.2)
+      .sort((a, b) => b.score - a.score || a.word.length - b.word.length);
+
+    // Drop inflected forms of a better-ranked candidate
+    const candidates = [];
+    for (const candidate of ranked) {
+      if (!candidates.some(kept => candidate.word.startsWith(kept.word))) {
+        candidates.push(candidate);
+      }
+    }
+
+    return {
+      term,
+      strings: matching.length,
+      candidates: candidates
+        .slice(0, 3)
+        .map(({ word, coverage }) => ({ word, coverage: Math.round(coverage * 100) / 100 }))
+    };
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * incremental.js
+ * Re-analysis of a PR after new commits: finds the lines added since the last analyzed head
+ * commit, and carries the earlier comments over to the new report.
+ */
+
+import { Octokit } from '@octokit/rest';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { extractAddedLinesWithRelativeNumbers } from './diff-util.js';
+
+const octokit = new Octokit({
+  auth: process.env.GITHUB_TOKEN,
+});
+
+/**
+ * Load the previous report of a PR if it can be the base of an incremental analysis
+ * @param {string} reportFile - Path of the report
+ * @param {number} prNumber - The PR being analyzed
+ * @returns {Promise<Object|null>} The previous report, or null
+ */
+export async function loadPreviousReport(reportFile, prNumber) {
+  try {
+    const report = JSON.parse(await fs.readFile(reportFile, 'utf8'));
+    if (report.prNumber !== prNumber || !report.headSha) {
+      return null;
+    }
+    return report;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the lines added between two commits of a PR with GitHub's compare API
+ * @param {string} baseSha - Head commit of the previous analysis
+ * @param {string} headSha - Current head commit
+ * @returns {Promise<Map|null>} filename → Set of new-file line numbers, or null if the
+ *   commits cannot be compared incrementally (e.g. after a force-push)
+ */
+export async function getLinesChangedSince(baseSha, headSha) {
+  try {
+    const { data } = await octokit.repos.compareCommitsWithBasehead({
+      owner: process.env.GITHUB_OWNER,
+      repo: process.env.GITHUB_REPO,
+      basehead: `${baseSha}...${headSha}`,
+    });
+
+    // A rebased or force-pushed branch no longer contains the old head
+    if (data.status !== 'ahead') {
+      console.log(chalk.yellow(`⚠️  ${headSha.substring(0, 7)} is ${data.status} of ${baseSha.substring(0, 7)}; analyzing the whole PR`));
+      return null;
+    }
+
+    const changedLines = new Map();
+    for (const file of data.files || []) {
+      if (!file.patch) {
+        continue;
+      }
+      changedLines.set(file.filename, new Set(extractAddedLinesWithRelativeNumbers(file.patch).map(line => line.newLine)));
+    }
+    return changedLines;
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not compare ${baseSha.substring(0, 7)}...${headSha.substring(0, 7)}: ${error.message}; analyzing the whole PR`));
+    return null;
+  }
+}
+
+/**
+ * Whether an added line of the PR diff changed since the previous analysis
+ * @param {Map} linesChangedSince - From getLinesChangedSince
+ * @param {string} filename - File of the line
+ * @param {Object} line - A changed line with fileLineNumber
+ */
+export function isNewLine(linesChangedSince, filename, line) {
+  const lines = linesChangedSince.get(filename);
+  return Boolean(lines && lines.has(line.fileLineNumber));
+}
+
+/**
+ * Carry the AI comments of the previous report over to lines that are unchanged, and mark
+ * comments on lines that were rewritten or removed as resolved. Rule-based comments are not
+ * carried over because the checks run on every line again; carryForwardTriage keeps their decisions.
+ * @param {Object} previousReport - The report of the previous analysis
+ * @param {Array} fileChanges - Files of the current analysis
+ * @param {Map} linesChangedSince - From getLinesChangedSince
+ * @param {string} headSha - Current head commit
+ * @returns {Object} { comments: carried comments with the current diffPosition, resolvedByFile: Map filename → resolved comments }
+ */
+export function carryForwardComments(previousReport, fileChanges, linesChangedSince, headSha) {
+  const comments = [];
+  const resolvedByFile = new Map();
+  const currentFiles = new Map(fileChanges.map(fileChange => [fileChange.filename, fileChange]));
+
+  for (const previousFile of previousReport.files || []) {
+    const currentFile = currentFiles.get(previousFile.filename);
+    const resolved = [...(previousFile.resolvedComments || [])];
+    const previousLines = new Map((previousFile.changedLines || []).map(line => [line.diffPosition, line]));
+
+    // Unchanged added lines by content; they may have moved within the diff
+    const unchangedLines = new Map();
+    for (const line of currentFile ? currentFile.changedLines : []) {
+      if (line.type === 'added' && !isNewLine(linesChangedSince, currentFile.filename, line)) {
+        const content = line.content.trim();
+        if (!unchangedLines.has(content)) {
+          unchangedLines.set(content, line);
+        }
+      }
+    }
+
+    for (const comment of previousFile.comments || []) {
+      const previousLine = previousLines.get(comment.diffPosition);
+      const currentLine = previousLine ? unchangedLines.get(previousLine.content.trim()) : null;
+
+      if (currentLine) {
+        if (!comment.check) {
+          comments.push({ ...comment, filename: previousFile.filename, diffPosition: currentLine.diffPosition });
+        }
+      } else {
+        resolved.push({
+          ...comment,
+          line: previousLine ? previousLine.content.trim() : null,
+          resolvedIn: headSha
+        });
+      }
+    }
+
+    if (resolved.length > 0) {
+      resolvedByFile.set(previousFile.filename, resolved);
+    }
+  }
+
+  return { comments, resolvedByFile };
+}
+
+const getRuleCommentKey = (filename, content, comment) =>
+  [filename, content.trim(), comment.check, comment.originalMessage || comment.message].join('\u0000');
+
+/**
+ * Copy the triage decisions and edits of the previous report's rule-based comments onto the
+ * same findings of the new analysis, so that a rejected check finding is not posted after a push
+ * @param {Object} previousReport - The report of the previous analysis
+ * @param {Array} ruleComments - Rule-based comments of the current analysis, updated in place
+ * @param {Array} fileChanges - Files of the current analysis
+ * @returns {number} The number of comments that got a decision
+ */
+export function carryForwardTriage(previousReport, ruleComments, fileChanges) {
+  const decisions = new Map();
+  for (const previousFile of previousReport.files || []) {
+    const previousLines = new Map((previousFile.changedLines || []).map(line => [line.diffPosition, line]));
+    for (const comment of previousFile.comments || []) {
+      const line = previousLines.get(comment.diffPosition);
+      if (comment.check && comment.triage && line) {
+        decisions.set(getRuleCommentKey(previousFile.filename, line.content, comment), comment);
+      }
+    }
+  }
+
+  const currentLines = new Map(fileChanges.map(fileChange =>
+    [fileChange.filename, new Map(fileChange.changedLines.map(line => [line.diffPosition, line]))]));
+  let applied = 0;
+  for (const comment of ruleComments) {
+    const line = currentLines.has(comment.filename) ? currentLines.get(comment.filename).get(comment.diffPosition) : null;
+    const decided = line ? decisions.get(getRuleCommentKey(comment.filename, line.content, comment)) : null;
+    if (!decided) {
+      continue;
+    }
+    comment.triage = decided.triage;
+    for (const field of ['message', 'type', 'originalMessage', 'originalType']) {
+      if (decided[field] !== undefined) {
+        comment[field] = decided[field];
+      }
+    }
+    applied++;
+  }
+  return applied;
+}
@@ -0,0 +1,254 @@
+/**
+ * json-parse.js
+ * A small position-aware JSON parser. JSON.parse only reports a character offset (and the
+ * format differs between Node versions), so this parser reports the line and column of the
+ * first syntax error, pointing at the place a translator would have to fix.
+ */
+
+class JsonSyntaxError extends Error {
+  constructor(message, offset) {
+    super(message);
+    this.name = 'JsonSyntaxError';
+    this.offset = offset;
+  }
+}
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} text - The parsed text
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column }
+ */
+export function offsetToLineColumn(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+function describe(char) {
+  if (char === undefined) {
+    return 'end of file';
+  }
+  if (char === '\n') {
+    return 'line break';
+  }
+  return `'${char}'`;
+}
+
+function createParser(text) {
+  let pos = 0;
+
+  function fail(message, offset = pos) {
+    throw new JsonSyntaxError(message, offset);
+  }
+
+  function skipWhitespace() {
+    while (pos < text.length && /[ \t\n\r]/.test(text[pos])) {
+      pos++;
+    }
+  }
+
+  function parseString() {
+    const start = pos;
+    pos++; // opening quote
+    let result = '';
+
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '"') {
+        pos++;
+        return result;
+      }
+      if (char === '\n' || char === '\r') {
+        fail('Unterminated string (a closing quote is missing)', start);
+      }
+      if (char < ' ') {
+        fail('Control characters such as tabs must be escaped inside strings');
+      }
+      if (char === '\\') {
+        const escape = text[pos + 1];
+        const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        if (escape in simple) {
+          result += simple[escape];
+          pos += 2;
+          continue;
+        }
+        if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) {
+          result += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+          continue;
+        }
+        fail(`Invalid escape sequence '\\${escape || ''}'`);
+      }
+      result += char;
+      pos++;
+    }
+
+    fail('Unterminated string (a closing quote is missing)', start);
+  }
+
+  function parseNumber() {
+    const match = text.slice(pos).match(/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/);
+    if (!match) {
+      fail(`Unexpected ${describe(text[pos])}`);
+    }
+    pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  function parseLiteral() {
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, pos)) {
+        pos += word.length;
+        return value;
+      }
+    }
+    fail(`Unexpected ${describe(text[pos])}`);
+  }
+
+  function parseObject() {
+    const result = {};
+    pos++; // opening brace
+    skipWhitespace();
+
+    if (text[pos] === '}') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      skipWhitespace();
+      if (text[pos] !== '"') {
+        fail(text[pos] === "'" ? 'Keys must use double quotes' : `Expected a key in double quotes but found ${describe(text[pos])}`);
+      }
+      const key = parseString();
+
+      skipWhitespace();
+      if (text[pos] !== ':') {
+        fail(`Expected ':' after the key but found ${describe(text[pos])}`);
+      }
+      pos++;
+
+      result[key] = parseValue();
+      const valueEnd = pos;
+
+      skipWhitespace();
+      if (text[pos] === ',') {
+        const commaPos = pos;
+        pos++;
+        skipWhitespace();
+        if (text[pos] === '}') {
+          fail('Trailing comma after the last entry', commaPos);
+        }
+        continue;
+      }
+      if (text[pos] === '}') {
+        pos++;
+        return result;
+      }
+      if (text[pos] === '"') {
+        fail('Missing comma after this entry', valueEnd);
+      }
+      fail(`Expected ',' or '}' but found ${describe(text[pos])} (is there an unescaped quote?)`);
+    }
+  }
+
+  function parseArray() {
+    const result = [];
+    pos++; // opening bracket
+    skipWhitespace();
+
+    if (text[pos] === ']') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      result.push(parseValue());
+      const valueEnd = pos;
+
+      skipWhitespace();
+      if (text[pos] === ',') {
+        const commaPos = pos;
+        pos++;
+        skipWhitespace();
+        if (text[pos] === ']') {
+          fail('Trailing comma after the last entry', commaPos);
+        }
+        continue;
+      }
+      if (text[pos] === ']') {
+        pos++;
+        return result;
+      }
+      if (text[pos] === '"') {
+        fail('Missing comma after this entry', valueEnd);
+      }
+      fail(`Expected ',' or ']' but found ${describe(text[pos])}`);
+    }
+  }
+
+  function parseValue() {
+    skipWhitespace();
+    const char = text[pos];
+    if (char === '{') {
+      return parseObject();
+    }
+    if (char === '[') {
+      return parseArray();
+    }
+    if (char === '"') {
+      return parseString();
+    }
+    if (char === '-' || (char >= '0' && char <= '9')) {
+      return parseNumber();
+    }
+    if (char === "'") {
+      fail('Strings must use double quotes');
+    }
+    return parseLiteral();
+  }
+
+  return {
+    parse() {
+      // Tolerate a UTF-8 byte order mark like most editors do
+      if (text.charCodeAt(0) === 0xFEFF) {
+        pos++;
+      }
+      const value = parseValue();
+      skipWhitespace();
+      if (pos < text.length) {
+        fail(`Unexpected ${describe(text[pos])} after the end of the JSON content`);
+      }
+      return value;
+    }
+  };
+}
+
+/**
+ * Parse JSON and report the position of the first syntax error
+ * @param {string} text - The raw JSON content
+ * @returns {Object} { value } on success, or { error: { message, line, column, offset } }
+ */
+export function parseJsonWithPositions(text) {
+  try {
+    return { value: createParser(text).parse() };
+  } catch (error) {
+    if (!(error instanceof JsonSyntaxError)) {
+      throw error;
+    }
+    return {
+      error: {
+        message: error.message,
+        offset: error.offset,
+        ...offsetToLineColumn(text, error.offset)
+      }
+    };
+  }
+}
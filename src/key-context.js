@@ -0,0 +1,164 @@
+/**
+ * key-context.js
+ * Builds a small, focused context block for each added string: its English source, its
+ * description from context.json and existing translations of the same key in sibling locales.
+ * This replaces pasting the whole context.json into every prompt.
+ */
+
+import chalk from 'chalk';
+import { parseTranslationLine, parseLocalePath, parseJsonObject } from './locale-util.js';
+
+export const DEFAULT_SIBLING_LOCALES = ['de', 'fr', 'es'];
+
+/**
+ * Identifier of a key context, matching how comments are addressed
+ */
+export function getKeyContextId(filename, diffPosition) {
+  return `${filename}:${diffPosition}`;
+}
+
+/**
+ * Parse the sibling locale list from a CLI option or environment variable
+ * @param {string|undefined} value - Comma-separated locales, e.g. `de,fr,es`; an empty string disables siblings
+ * @returns {Array} Locale codes
+ */
+export function parseSiblingLocales(value) {
+  if (value === undefined) {
+    return DEFAULT_SIBLING_LOCALES;
+  }
+  return value.split(',').map(locale => locale.trim()).filter(Boolean);
+}
+
+/**
+ * Fetch the sibling locale files for every namespace touched by the changes
+ * @param {Array} fileChanges - Files collected by analyzePR
+ * @param {Function} getFileContent - Reads a repository file at the analyzed ref
+ * @param {Array} siblingLocales - Locale codes to look up
+ * @returns {Promise<Map>} namespace → { locale → parsed locale file }
+ */
+export async function loadSiblingTranslations(fileChanges, getFileContent, siblingLocales) {
+  const siblingsByNamespace = new Map();
+
+  for (const fileChange of fileChanges) {
+    const localePath = parseLocalePath(fileChange.filename);
+    if (!localePath || siblingsByNamespace.has(localePath.namespace)) {
+      continue;
+    }
+
+    const siblings = {};
+    for (const locale of siblingLocales) {
+      const content = await getFileContent(`ghost/i18n/locales/${locale}/${localePath.namespace}.json`);
+      if (content) {
+        siblings[locale] = parseJsonObject(content);
+      }
+    }
+    siblingsByNamespace.set(localePath.namespace, siblings);
+  }
+
+  const loaded = siblingLocales.filter(locale => [...siblingsByNamespace.values()].some(siblings => siblings[locale]));
+  if (loaded.length > 0) {
+    console.log(chalk.gray(`    📖 Loaded sibling translations from ${loaded.join(', ')} for ${siblingsByNamespace.size} namespaces`));
+  } else if (siblingLocales.length > 0) {
+    console.log(chalk.gray(`    📖 No sibling translations found in ${siblingLocales.join(', ')}`));
+  }
+
+  return siblingsByNamespace;
+}
+
+/**
+ * Build the context of every added key/value line
+ * @param {Array} fileChanges - Files collected by analyzePR (with englishFileContent)
+ * @param {Object} context - Parsed context.json
+ * @param {Map} siblingsByNamespace - From loadSiblingTranslations
+ * @param {Map} memoryMatches - Translation memory matches from findMemoryMatches
+ * @returns {Map} getKeyContextId(filename, diffPosition) → { key, english, translation, description, siblings, memory }
+ */
+export function buildKeyContexts(fileChanges, context, siblingsByNamespace = new Map(), memoryMatches = new Map()) {
+  const keyContexts = new Map();
+
+  for (const fileChange of fileChanges) {
+    const localePath = parseLocalePath(fileChange.filename);
+    const english = parseJsonObject(fileChange.englishFileContent);
+    const siblings = localePath ? siblingsByNamespace.get(localePath.namespace) || {} : {};
+
+    for (const line of fileChange.changedLines) {
+      if (line.type !== 'added') {
+        continue;
+      }
+      const pair = parseTranslationLine(line.content);
+      if (!pair) {
+        continue;
+      }
+
+      const siblingTranslations = {};
+      for (const [locale, translations] of Object.entries(siblings)) {
+        if (locale !== localePath.locale && typeof translations[pair.key] === 'string' && translations[pair.key] !== '') {
+          siblingTranslations[locale] = translations[pair.key];
+        }
+      }
+
+      const id = getKeyContextId(fileChange.filename, line.diffPosition);
+      keyContexts.set(id, {
+        key: pair.key,
+        // Ghost's English files use the English string as the key and usually leave the value empty
+        english: typeof english[pair.key] === 'string' && english[pair.key] !== '' ? english[pair.key] : pair.key,
+        translation: pair.value,
+        description: typeof context[pair.key] === 'string' ? context[pair.key] : null,
+        siblings: siblingTranslations,
+        memory: memoryMatches.get(id) || null
+      });
+    }
+  }
+
+  return keyContexts;
+}
+
+/**
+ * Format the context of one added line for the prompt
+ * @param {Object} keyContext - An entry from buildKeyContexts
+ * @param {number} diffPosition - The line's diffPosition
+ * @returns {string} A few lines of plain text
+ */
+export function formatKeyContext(keyContext, diffPosition) {
+  const lines = [
+    `- diffPosition ${diffPosition}`,
+    `  English: ${JSON.stringify(keyContext.english)}`,
+    `  Translation: ${JSON.stringify(keyContext.translation)}`,
+    `  Usage: ${keyContext.description || 'No description in context.json'}`
+  ];
+
+  const siblings = Object.entries(keyContext.siblings);
+  if (siblings.length > 0) {
+    lines.push(`  Other locales: ${siblings.map(([locale, value]) => `${locale}: ${JSON.stringify(value)}`).join('; ')}`);
+  }
+
+  // Existing translations in the same locale, so the AI can point out inconsistent wording
+  if (keyContext.memory) {
+    const { exact, fuzzy } = keyContext.memory;
+    if (exact.length > 0) {
+      lines.push(`  Same string elsewhere in this locale: ${exact.map(entry => `${JSON.stringify(entry.translation)} (${entry.namespace})`).join('; ')}`);
+    }
+    if (fuzzy.length > 0) {
+      lines.push(`  Similar strings in this locale: ${fuzzy.map(entry => `${JSON.stringify(entry.english)} → ${JSON.stringify(entry.translation)} (${entry.namespace})`).join('; ')}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format the context blocks for all added lines of a file
+ * @param {Object} fileChange - { filename, changedLines }
+ * @param {Map} keyContexts - From buildKeyContexts
+ * @returns {string} One block per added key/value line
+ */
+export function formatFileKeyContexts(fileChange, keyContexts) {
+  return fileChange.changedLines
+    .filter(line => line.type === 'added')
+    .map(line => {
+      const keyContext = keyContexts.get(getKeyContextId(fileChange.filename, line.diffPosition));
+      return keyContext ? formatKeyContext(keyContext, line.diffPosition) : null;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
@@ -0,0 +1,198 @@
+/**
+ * language-id.js
+ * Offline language identification for short strings: Unicode script detection plus a naive
+ * Bayes classifier over character trigrams, trained on the samples in language-samples.js.
+ */
+
+import { LANGUAGE_SAMPLES } from './language-samples.js';
+
+// Scripts a language is written in; languages not listed use Latin
+const LANGUAGE_SCRIPTS = {
+  'sr-Cyrl': ['Cyrillic'],
+  ru: ['Cyrillic'], uk: ['Cyrillic'], bg: ['Cyrillic'], mk: ['Cyrillic'], be: ['Cyrillic'],
+  kk: ['Cyrillic'], kz: ['Cyrillic'], ky: ['Cyrillic'], mn: ['Cyrillic'], tg: ['Cyrillic'],
+  el: ['Greek'],
+  ar: ['Arabic'], fa: ['Arabic'], ur: ['Arabic'], ps: ['Arabic'],
+  he: ['Hebrew'], yi: ['Hebrew'],
+  hi: ['Devanagari'], mr: ['Devanagari'], ne: ['Devanagari'],
+  bn: ['Bengali'], pa: ['Gurmukhi'], gu: ['Gujarati'], ta: ['Tamil'], te: ['Telugu'],
+  kn: ['Kannada'], ml: ['Malayalam'], si: ['Sinhala'],
+  th: ['Thai'], lo: ['Lao'], km: ['Khmer'], my: ['Myanmar'],
+  ka: ['Georgian'], hy: ['Armenian'], am: ['Ethiopic'],
+  ja: ['Han', 'Hiragana', 'Katakana'], zh: ['Han'], ko: ['Hangul', 'Han']
+};
+
+// Letters a language does not use but a neighbouring language written in the same script does
+const FOREIGN_LETTERS = {
+  uk: 'ыэъё',
+  ru: 'іїєґў',
+  bg: 'ыэёіїєґ',
+  es: 'ãõç',
+  pt: 'ñ¿¡'
+};
+
+// Letters that set a language apart from its neighbours in the same script. Longer strings
+// almost always contain one, so their absence outweighs a small lead of the language's profile
+const NATIVE_LETTERS = {
+  uk: 'іїєґ'
+};
+
+const KNOWN_SCRIPTS = [...new Set(['Latin', ...Object.values(LANGUAGE_SCRIPTS).flat()])];
+const SCRIPT_PATTERNS = KNOWN_SCRIPTS.map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+// Add-alpha smoothing of trigram probabilities
+const SMOOTHING = 0.5;
+
+let profiles = null;
+let vocabularySize = 0;
+
+/**
+ * The scripts a locale is expected to be written in
+ * @param {string} locale - e.g. `uk`, `pt-BR` or `sr-Cyrl`
+ * @returns {Array} Script names as used by \p{Script=...}
+ */
+export function getExpectedScripts(locale) {
+  return LANGUAGE_SCRIPTS[locale] || LANGUAGE_SCRIPTS[getBaseLanguage(locale)] || ['Latin'];
+}
+
+/**
+ * Language part of a locale code
+ * @param {string} locale - e.g. `pt-BR`
+ * @returns {string} e.g. `pt`
+ */
+export function getBaseLanguage(locale) {
+  return locale.split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Letters in a string that the locale's language does not use
+ * @param {string} text - The string
+ * @param {string} locale - e.g. `uk`
+ * @returns {Array} The distinct foreign letters, e.g. ['ы']
+ */
+export function findForeignLetters(text, locale) {
+  const letters = FOREIGN_LETTERS[getBaseLanguage(locale)];
+  if (!letters) {
+    return [];
+  }
+  return [...new Set([...text.toLowerCase()].filter(char => letters.includes(char)))];
+}
+
+/**
+ * Whether a string contains one of the letters that set a language apart from its neighbours
+ * @param {string} text - The string
+ * @param {string} language - e.g. `uk`
+ * @returns {boolean|null} null if the language has no such letters
+ */
+export function hasNativeLetters(text, language) {
+  const letters = NATIVE_LETTERS[getBaseLanguage(language)];
+  if (!letters) {
+    return null;
+  }
+  return [...text.toLowerCase()].some(char => letters.includes(char));
+}
+
+/**
+ * Count the letters of a string per script
+ * @param {string} text - The string
+ * @returns {Map} script → letter count; letters of other scripts count under `Other`
+ */
+export function countScripts(text) {
+  const counts = new Map();
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) {
+      continue;
+    }
+    const entry = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+    const script = entry ? entry[0] : 'Other';
+    counts.set(script, (counts.get(script) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * The script most letters of a string are written in
+ * @param {Map} counts - From countScripts
+ * @returns {string|null}
+ */
+export function getDominantScript(counts) {
+  let dominant = null;
+  for (const [script, count] of counts) {
+    if (!dominant || count > counts.get(dominant)) {
+      dominant = script;
+    }
+  }
+  return dominant;
+}
+
+function getTrigrams(text) {
+  const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\p{M}]+/gu, ' ').trim()} `;
+  const chars = [...normalized];
+  const trigrams = [];
+  for (let i = 0; i + 3 <= chars.length; i++) {
+    const trigram = chars.slice(i, i + 3).join('');
+    if (trigram.trim()) {
+      trigrams.push(trigram);
+    }
+  }
+  return trigrams;
+}
+
+function getProfiles() {
+  if (profiles) {
+    return profiles;
+  }
+
+  profiles = new Map();
+  const vocabulary = new Set();
+  for (const [language, sample] of Object.entries(LANGUAGE_SAMPLES)) {
+    const counts = new Map();
+    const trigrams = getTrigrams(sample);
+    for (const trigram of trigrams) {
+      counts.set(trigram, (counts.get(trigram) || 0) + 1);
+      vocabulary.add(trigram);
+    }
+    profiles.set(language, {
+      counts,
+      total: trigrams.length,
+      script: getDominantScript(countScripts(sample))
+    });
+  }
+  vocabularySize = vocabulary.size;
+  return profiles;
+}
+
+/**
+ * Whether the classifier has a profile for a locale's language
+ * @param {string} locale - e.g. `pt-BR`
+ */
+export function hasLanguageProfile(locale) {
+  return getProfiles().has(getBaseLanguage(locale));
+}
+
+/**
+ * Rank the profiled languages written in the same script as the text
+ * @param {string} text - The string to classify
+ * @returns {Array} { language, score } sorted best first; score is the mean log-probability per trigram
+ */
+export function rankLanguages(text) {
+  const trigrams = getTrigrams(text);
+  const script = getDominantScript(countScripts(text));
+  if (trigrams.length === 0 || !script) {
+    return [];
+  }
+
+  const ranking = [];
+  for (const [language, profile] of getProfiles()) {
+    if (profile.script !== script) {
+      continue;
+    }
+    // Every profile is smoothed over the shared vocabulary, so unseen trigrams cost the same everywhere
+    const denominator = profile.total + SMOOTHING * vocabularySize;
+    const logProbability = trigrams.reduce((sum, trigram) =>
+      sum + Math.log(((profile.counts.get(trigram) || 0) + SMOOTHING) / denominator), 0);
+    ranking.push({ language, score: logProbability / trigrams.length });
+  }
+
+  return ranking.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,190 @@
+/**
+ * language-samples.js
+ * Short sample texts per language in the register of Ghost's UI strings. language-id.js builds
+ * its trigram profiles from them, so the classifier works offline and without a corpus download.
+ * Add a language by adding a few hundred characters of typical UI text.
+ */
+
+export const LANGUAGE_SAMPLES = {
+  en: `Sign in to your account. Enter your email address and we will send you a link to sign in.
+Subscribe to get the latest posts delivered right to your inbox. Thank you for subscribing, please check your email
+to confirm your subscription. Your payment was successful and your account has been updated. Manage your newsletter
+preferences and choose which emails you want to receive. Something went wrong, please try again later. You are
+receiving this because you are a member of this site. Update your billing information before your plan expires.
+Write a comment and join the discussion with other members. Are you sure you want to delete this comment?`,
+
+  de: `Melde dich bei deinem Konto an. Gib deine E-Mail-Adresse ein und wir senden dir einen Link zur Anmeldung.
+Abonniere, um die neuesten Beiträge direkt in dein Postfach zu bekommen. Danke für dein Abonnement, bitte prüfe deine
+E-Mails, um es zu bestätigen. Deine Zahlung war erfolgreich und dein Konto wurde aktualisiert. Verwalte deine
+Newsletter-Einstellungen und wähle aus, welche E-Mails du erhalten möchtest. Etwas ist schiefgelaufen, bitte versuche es
+später noch einmal. Du erhältst diese Nachricht, weil du Mitglied dieser Seite bist. Aktualisiere deine
+Zahlungsinformationen, bevor dein Tarif abläuft. Schreibe einen Kommentar und diskutiere mit anderen Mitgliedern.
+Bist du sicher, dass du diesen Kommentar löschen möchtest?`,
+
+  fr: `Connectez-vous à votre compte. Saisissez votre adresse e-mail et nous vous enverrons un lien de connexion.
+Abonnez-vous pour recevoir les derniers articles directement dans votre boîte de réception. Merci pour votre abonnement,
+veuillez vérifier vos e-mails pour le confirmer. Votre paiement a été effectué et votre compte a été mis à jour.
+Gérez vos préférences de newsletter et choisissez les e-mails que vous souhaitez recevoir. Une erreur s'est produite,
+veuillez réessayer plus tard. Vous recevez ce message parce que vous êtes membre de ce site. Mettez à jour vos
+informations de facturation avant l'expiration de votre abonnement. Écrivez un commentaire et participez à la
+discussion avec les autres membres. Êtes-vous sûr de vouloir supprimer ce commentaire ?`,
+
+  es: `Inicia sesión en tu cuenta. Introduce tu dirección de correo electrónico y te enviaremos un enlace para
+iniciar sesión. Suscríbete para recibir las últimas publicaciones directamente en tu bandeja de entrada. Gracias por
+suscribirte, revisa tu correo para confirmar tu suscripción. Tu pago se ha realizado con éxito y tu cuenta ha sido
+actualizada. Gestiona tus preferencias del boletín y elige qué correos quieres recibir. Algo salió mal, por favor
+inténtalo de nuevo más tarde. Recibes esto porque eres miembro de este sitio. Actualiza tu información de facturación
+antes de que caduque tu plan. Escribe un comentario y únete a la conversación con otros miembros. ¿Seguro que quieres
+eliminar este comentario?`,
+
+  pt: `Entre na sua conta. Insira o seu endereço de e-mail e enviaremos um link para você entrar. Assine para
+receber as publicações mais recentes diretamente na sua caixa de entrada. Obrigado pela sua assinatura, verifique o
+seu e-mail para confirmar a inscrição. O seu pagamento foi concluído e a sua conta foi atualizada. Gerencie as
+preferências da newsletter e escolha quais e-mails você quer receber. Algo deu errado, por favor tente novamente mais
+tarde. Você está recebendo isto porque é membro deste site. Atualize as suas informações de cobrança antes que o seu
+plano expire. Escreva um comentário e participe da conversa com outros membros. Tem certeza de que deseja excluir
+este comentário? Não foi possível concluir a ação.`,
+
+  it: `Accedi al tuo account. Inserisci il tuo indirizzo email e ti invieremo un link per accedere. Iscriviti per
+ricevere gli ultimi articoli direttamente nella tua casella di posta. Grazie per l'iscrizione, controlla la tua email
+per confermare l'abbonamento. Il pagamento è andato a buon fine e il tuo account è stato aggiornato. Gestisci le
+preferenze della newsletter e scegli quali email vuoi ricevere. Qualcosa è andato storto, per favore riprova più
+tardi. Ricevi questo messaggio perché sei un membro di questo sito. Aggiorna i tuoi dati di fatturazione prima che il
+tuo piano scada. Scrivi un commento e partecipa alla discussione con gli altri membri. Sei sicuro di voler eliminare
+questo commento?`,
+
+  nl: `Log in op je account. Vul je e-mailadres in en we sturen je een link om in te loggen. Abonneer je om de
+nieuwste berichten direct in je inbox te ontvangen. Bedankt voor je aanmelding, controleer je e-mail om je abonnement
+te bevestigen. Je betaling is gelukt en je account is bijgewerkt. Beheer je nieuwsbriefvoorkeuren en kies welke
+e-mails je wilt ontvangen. Er is iets misgegaan, probeer het later opnieuw. Je ontvangt dit omdat je lid bent van deze
+site. Werk je betaalgegevens bij voordat je abonnement verloopt. Schrijf een reactie en doe mee aan het gesprek met
+andere leden. Weet je zeker dat je deze reactie wilt verwijderen?`,
+
+  ca: `Inicia la sessió al teu compte. Introdueix la teva adreça de correu electrònic i t'enviarem un enllaç per
+iniciar la sessió. Subscriu-te per rebre les darreres publicacions directament a la teva safata d'entrada. Gràcies per
+subscriure't, revisa el correu per confirmar la subscripció. El pagament s'ha fet correctament i el teu compte s'ha
+actualitzat. Gestiona les preferències del butlletí i tria quins correus vols rebre. Alguna cosa ha anat malament,
+torna-ho a provar més tard. Reps això perquè ets membre d'aquest lloc. Actualitza la informació de facturació abans
+que caduqui el teu pla. Escriu un comentari i participa en la conversa amb altres membres. Segur que vols suprimir
+aquest comentari?`,
+
+  ro: `Conectează-te la contul tău. Introdu adresa de e-mail și îți vom trimite un link pentru autentificare.
+Abonează-te pentru a primi cele mai noi articole direct în căsuța ta de e-mail. Mulțumim pentru abonare, verifică-ți
+e-mailul pentru a confirma abonamentul. Plata a fost efectuată cu succes și contul tău a fost actualizat. Gestionează
+preferințele pentru newsletter și alege ce e-mailuri vrei să primești. Ceva nu a funcționat, te rugăm să încerci din
+nou mai târziu. Primești acest mesaj pentru că ești membru al acestui site. Actualizează informațiile de facturare
+înainte să expire planul. Scrie un comentariu și alătură-te discuției cu ceilalți membri. Sigur vrei să ștergi acest
+comentariu?`,
+
+  pl: `Zaloguj się na swoje konto. Wpisz swój adres e-mail, a wyślemy Ci link do logowania. Zasubskrybuj, aby
+otrzymywać najnowsze wpisy prosto do swojej skrzynki. Dziękujemy za subskrypcję, sprawdź pocztę, aby ją potwierdzić.
+Płatność zakończyła się powodzeniem, a Twoje konto zostało zaktualizowane. Zarządzaj ustawieniami newslettera i
+wybierz, jakie wiadomości chcesz otrzymywać. Coś poszło nie tak, spróbuj ponownie później. Otrzymujesz tę wiadomość,
+ponieważ jesteś członkiem tej strony. Zaktualizuj dane rozliczeniowe, zanim Twój plan wygaśnie. Napisz komentarz i
+dołącz do rozmowy z innymi członkami. Czy na pewno chcesz usunąć ten komentarz?`,
+
+  cs: `Přihlaste se ke svému účtu. Zadejte svou e-mailovou adresu a my vám pošleme odkaz pro přihlášení.
+Přihlaste se k odběru a nejnovější příspěvky vám budou chodit přímo do schránky. Děkujeme za přihlášení k odběru,
+zkontrolujte prosím svůj e-mail a potvrďte ho. Platba proběhla úspěšně a váš účet byl aktualizován. Spravujte
+nastavení newsletteru a vyberte, které e-maily chcete dostávat. Něco se pokazilo, zkuste to prosím později. Tuto
+zprávu dostáváte, protože jste členem tohoto webu. Aktualizujte své fakturační údaje, než vám vyprší tarif. Napište
+komentář a zapojte se do diskuze s ostatními členy. Opravdu chcete tento komentář smazat?`,
+
+  sk: `Prihláste sa do svojho účtu. Zadajte svoju e-mailovú adresu a pošleme vám odkaz na prihlásenie.
+Prihláste sa na odber a najnovšie príspevky vám budú chodiť priamo do schránky. Ďakujeme za prihlásenie na odber,
+skontrolujte si prosím e-mail a potvrďte ho. Platba prebehla úspešne a váš účet bol aktualizovaný. Spravujte
+nastavenia newslettera a vyberte si, ktoré e-maily chcete dostávať. Niečo sa pokazilo, skúste to prosím neskôr. Túto
+správu dostávate, pretože ste členom tejto stránky. Aktualizujte svoje fakturačné údaje skôr, ako vám vyprší plán.
+Napíšte komentár a zapojte sa do diskusie s ostatnými členmi. Naozaj chcete tento komentár odstrániť?`,
+
+  sv: `Logga in på ditt konto. Ange din e-postadress så skickar vi en länk för att logga in. Prenumerera för att
+få de senaste inläggen direkt till din inkorg. Tack för att du prenumererar, kolla din e-post för att bekräfta din
+prenumeration. Din betalning gick igenom och ditt konto har uppdaterats. Hantera dina inställningar för nyhetsbrevet
+och välj vilka e-postmeddelanden du vill få. Något gick fel, försök igen senare. Du får det här eftersom du är medlem
+på den här webbplatsen. Uppdatera dina betalningsuppgifter innan din plan går ut. Skriv en kommentar och delta i
+diskussionen med andra medlemmar. Är du säker på att du vill ta bort den här kommentaren?`,
+
+  da: `Log ind på din konto. Indtast din e-mailadresse, så sender vi dig et link til at logge ind. Abonner for at
+få de seneste indlæg direkte i din indbakke. Tak fordi du abonnerer, tjek din e-mail for at bekræfte dit abonnement.
+Din betaling er gennemført, og din konto er blevet opdateret. Administrer dine indstillinger for nyhedsbrevet, og
+vælg hvilke e-mails du vil modtage. Noget gik galt, prøv igen senere. Du modtager dette, fordi du er medlem af dette
+websted. Opdater dine betalingsoplysninger, før din plan udløber. Skriv en kommentar og deltag i diskussionen med
+andre medlemmer. Er du sikker på, at du vil slette denne kommentar?`,
+
+  nb: `Logg inn på kontoen din. Skriv inn e-postadressen din, så sender vi deg en lenke for å logge inn. Abonner
+for å få de nyeste innleggene rett i innboksen din. Takk for at du abonnerer, sjekk e-posten din for å bekrefte
+abonnementet. Betalingen din er fullført, og kontoen din er oppdatert. Administrer innstillingene for nyhetsbrevet og
+velg hvilke e-poster du vil motta. Noe gikk galt, vennligst prøv igjen senere. Du mottar dette fordi du er medlem av
+dette nettstedet. Oppdater betalingsinformasjonen din før planen din utløper. Skriv en kommentar og bli med i
+diskusjonen med andre medlemmer. Er du sikker på at du vil slette denne kommentaren?`,
+
+  fi: `Kirjaudu sisään tilillesi. Anna sähköpostiosoitteesi, niin lähetämme sinulle kirjautumislinkin. Tilaa, niin
+saat uusimmat julkaisut suoraan sähköpostiisi. Kiitos tilauksestasi, tarkista sähköpostisi vahvistaaksesi tilauksen.
+Maksusi onnistui ja tilisi on päivitetty. Hallitse uutiskirjeen asetuksia ja valitse, mitä sähköposteja haluat
+vastaanottaa. Jokin meni vikaan, yritä myöhemmin uudelleen. Saat tämän viestin, koska olet tämän sivuston jäsen.
+Päivitä laskutustietosi ennen kuin tilauksesi päättyy. Kirjoita kommentti ja osallistu keskusteluun muiden jäsenten
+kanssa. Haluatko varmasti poistaa tämän kommentin?`,
+
+  hu: `Jelentkezz be a fiókodba. Add meg az e-mail-címedet, és küldünk egy linket a bejelentkezéshez. Iratkozz fel,
+hogy a legújabb bejegyzéseket közvetlenül a postafiókodba kapd. Köszönjük a feliratkozást, kérjük, ellenőrizd az
+e-mailjeidet a megerősítéshez. A fizetés sikeres volt, és a fiókod frissült. Kezeld a hírlevél beállításait, és
+válaszd ki, milyen e-maileket szeretnél kapni. Valami hiba történt, kérjük, próbáld újra később. Azért kapod ezt az
+üzenetet, mert tagja vagy ennek az oldalnak. Frissítsd a számlázási adataidat, mielőtt lejár az előfizetésed. Írj
+egy hozzászólást, és csatlakozz a beszélgetéshez a többi taggal. Biztosan törölni szeretnéd ezt a hozzászólást?`,
+
+  tr: `Hesabına giriş yap. E-posta adresini gir, sana giriş yapman için bir bağlantı gönderelim. En son yazıları
+doğrudan gelen kutuna almak için abone ol. Abone olduğun için teşekkürler, aboneliğini onaylamak için lütfen
+e-postanı kontrol et. Ödemen başarıyla tamamlandı ve hesabın güncellendi. Bülten tercihlerini yönet ve hangi
+e-postaları almak istediğini seç. Bir şeyler ters gitti, lütfen daha sonra tekrar dene. Bu mesajı bu sitenin üyesi
+olduğun için alıyorsun. Planının süresi dolmadan önce fatura bilgilerini güncelle. Bir yorum yaz ve diğer üyelerle
+sohbete katıl. Bu yorumu silmek istediğinden emin misin?`,
+
+  id: `Masuk ke akun kamu. Masukkan alamat email kamu dan kami akan mengirimkan tautan untuk masuk. Berlangganan
+untuk mendapatkan tulisan terbaru langsung di kotak masuk kamu. Terima kasih telah berlangganan, silakan periksa email
+kamu untuk mengonfirmasi langganan. Pembayaran kamu berhasil dan akun kamu telah diperbarui. Kelola preferensi
+buletin dan pilih email mana yang ingin kamu terima. Terjadi kesalahan, silakan coba lagi nanti. Kamu menerima ini
+karena kamu adalah anggota situs ini. Perbarui informasi tagihan kamu sebelum paket kamu berakhir. Tulis komentar dan
+bergabunglah dalam diskusi dengan anggota lain. Apakah kamu yakin ingin menghapus komentar ini?`,
+
+  ru: `Войдите в свой аккаунт. Введите адрес электронной почты, и мы отправим вам ссылку для входа. Подпишитесь,
+чтобы получать новые публикации прямо на почту. Спасибо за подписку, проверьте почту, чтобы подтвердить её. Ваш
+платёж прошёл успешно, и ваш аккаунт обновлён. Управляйте настройками рассылки и выберите, какие письма вы хотите
+получать. Что-то пошло не так, пожалуйста, попробуйте ещё раз позже. Вы получили это письмо, потому что являетесь
+участником этого сайта. Обновите платёжные данные до окончания вашего тарифа. Напишите комментарий и присоединяйтесь
+к обсуждению с другими участниками. Вы уверены, что хотите удалить этот комментарий? Ваша подписка будет
+автоматически продлена, отменить её можно в любое время в настройках аккаунта. Перейдите на платный тариф, чтобы
+получить доступ ко всем материалам. Сохраните изменения, прежде чем уйти со страницы. Пригласите друзей и коллег.
+Следующая статья выйдет на этой неделе. Оплатите подписку сейчас или начните пробный период. Поделитесь статьёй с
+друзьями. Пока нет комментариев, будьте первым. Войдите по ссылке из письма. Аккаунт будет удален навсегда.`,
+
+  uk: `Увійдіть у свій обліковий запис. Введіть адресу електронної пошти, і ми надішлемо вам посилання для входу.
+Підпишіться, щоб отримувати нові публікації прямо на пошту. Дякуємо за підписку, перевірте пошту, щоб її
+підтвердити. Ваш платіж пройшов успішно, і ваш обліковий запис оновлено. Керуйте налаштуваннями розсилки та
+виберіть, які листи ви хочете отримувати. Щось пішло не так, будь ласка, спробуйте ще раз пізніше. Ви отримали цей
+лист, тому що є учасником цього сайту. Оновіть платіжні дані до закінчення вашого тарифу. Напишіть коментар і
+приєднуйтеся до обговорення з іншими учасниками. Ви впевнені, що хочете видалити цей коментар? Вашу підписку
+буде автоматично продовжено, скасувати її можна будь-коли в налаштуваннях облікового запису. Перейдіть на платний
+тариф, щоб отримати доступ до всіх матеріалів. Збережіть зміни, перш ніж піти зі сторінки. Запросіть друзів і колег.
+Наступна стаття вийде цього тижня. Оплатіть підписку зараз або почніть пробний період. Поділіться статтею з
+друзями. Поки що немає коментарів, будьте першим. Увійдіть за посиланням із листа. Обліковий запис буде видалено назавжди.`,
+
+  bg: `Влезте в профила си. Въведете имейл адреса си и ще ви изпратим линк за вход. Абонирайте се, за да получавате
+най-новите публикации направо в пощата си. Благодарим ви за абонамента, проверете имейла си, за да го потвърдите.
+Плащането ви беше успешно и профилът ви е обновен. Управлявайте настройките на бюлетина и изберете кои имейли искате
+да получавате. Нещо се обърка, моля, опитайте отново по-късно. Получавате това, защото сте член на този сайт.
+Обновете данните си за плащане, преди планът ви да изтече. Напишете коментар и се включете в дискусията с другите
+членове. Сигурни ли сте, че искате да изтриете този коментар?`,
+
+  ar: `سجّل الدخول إلى حسابك. أدخل عنوان بريدك الإلكتروني وسنرسل لك رابطًا لتسجيل الدخول. اشترك لتصلك أحدث
+المقالات مباشرة إلى بريدك الوارد. شكرًا لاشتراكك، يرجى التحقق من بريدك الإلكتروني لتأكيد الاشتراك. تمت عملية
+الدفع بنجاح وتم تحديث حسابك. أدر تفضيلات النشرة البريدية واختر الرسائل التي تريد تلقيها. حدث خطأ ما، يرجى
+المحاولة مرة أخرى لاحقًا. تتلقى هذه الرسالة لأنك عضو في هذا الموقع. حدّث معلومات الفوترة قبل انتهاء خطتك. اكتب
+تعليقًا وانضم إلى النقاش مع الأعضاء الآخرين. هل أنت متأكد من أنك تريد حذف هذا التعليق؟`,
+
+  fa: `وارد حساب کاربری خود شوید. نشانی ایمیل خود را وارد کنید تا پیوندی برای ورود برایتان بفرستیم. مشترک شوید
+تا تازه‌ترین نوشته‌ها را مستقیم در صندوق ورودی خود دریافت کنید. از اشتراک شما سپاسگزاریم، لطفاً ایمیل خود را برای
+تأیید اشتراک بررسی کنید. پرداخت شما با موفقیت انجام شد و حساب شما به‌روزرسانی شد. تنظیمات خبرنامه را مدیریت کنید
+و انتخاب کنید چه ایمیل‌هایی می‌خواهید دریافت کنید. مشکلی پیش آمد، لطفاً بعداً دوباره امتحان کنید. این پیام را
+دریافت می‌کنید چون عضو این سایت هستید. پیش از پایان طرح خود، اطلاعات پرداخت را به‌روز کنید. نظری بنویسید و به گفتگو
+با دیگر اعضا بپیوندید. آیا مطمئن هستید که می‌خواهید این نظر را حذف کنید؟`
+};
@@ -0,0 +1,108 @@
+/**
+ * locale-files.js
+ * Loads complete locale files for a language, either from GitHub at a ref (through the
+ * file cache) or from a local Ghost checkout.
+ */
+
+import { Octokit } from '@octokit/rest';
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { fetchRepoFile } from './cache.js';
+import { parseJsonObject } from './locale-util.js';
+
+const LOCALES_DIR = 'ghost/i18n/locales';
+
+const octokit = new Octokit({
+  auth: process.env.GITHUB_TOKEN,
+});
+
+/**
+ * List the namespaces (file names without .json) of the English locale
+ * @param {Object} source - { ref } for GitHub or { repo } for a local checkout
+ * @returns {Promise<Array>} Namespace names
+ */
+export async function listNamespaces(source = {}) {
+  if (source.repo) {
+    const files = await fs.readdir(path.join(source.repo, LOCALES_DIR, 'en'));
+    return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+  }
+
+  const { data } = await octokit.repos.getContent({
+    owner: process.env.GITHUB_OWNER || 'TryGhost',
+    repo: process.env.GITHUB_REPO || 'Ghost',
+    path: `${LOCALES_DIR}/en`,
+    ref: source.ref || 'main',
+  });
+  return data
+    .filter(entry => entry.type === 'file' && entry.name.endsWith('.json'))
+    .map(entry => path.basename(entry.name, '.json'))
+    .sort();
+}
+
+/**
+ * The commit a GitHub ref currently points at, to tell whether data loaded from it is still current
+ * @param {Object} source - { ref } for GitHub or { repo } for a local checkout
+ * @returns {Promise<string|null>} The commit SHA, or null for a local checkout
+ */
+export async function resolveSourceCommit(source = {}) {
+  if (source.repo) {
+    return null;
+  }
+
+  const { data } = await octokit.repos.getCommit({
+    owner: process.env.GITHUB_OWNER || 'TryGhost',
+    repo: process.env.GITHUB_REPO || 'Ghost',
+    ref: source.ref || 'main',
+    mediaType: { format: 'sha' },
+  });
+  return String(data).trim();
+}
+
+/**
+ * Read one locale file
+ * @param {string} locale - e.g. `fr`
+ * @param {string} namespace - e.g. `portal`
+ * @param {Object} source - { ref } for GitHub or { repo } for a local checkout
+ * @returns {Promise<string|null>} Raw file content, or null if the file does not exist
+ */
+export async function readLocaleFile(locale, namespace, source = {}) {
+  const filename = `${LOCALES_DIR}/${locale}/${namespace}.json`;
+
+  if (source.repo) {
+    try {
+      return await fs.readFile(path.join(source.repo, filename), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const { content } = await fetchRepoFile(octokit, {
+    owner: process.env.GITHUB_OWNER || 'TryGhost',
+    repo: process.env.GITHUB_REPO || 'Ghost',
+    path: filename,
+    ref: source.ref || 'main',
+  });
+  return content;
+}
+
+/**
+ * Load every namespace of a locale
+ * @param {string} locale - e.g. `fr`
+ * @param {Object} source - { ref } for GitHub or { repo } for a local checkout
+ * @returns {Promise<Object>} namespace → parsed locale file (missing namespaces are left out)
+ */
+export async function loadLocaleFiles(locale, source = {}) {
+  const namespaces = await listNamespaces(source);
+  const files = {};
+
+  for (const namespace of namespaces) {
+    const content = await readLocaleFile(locale, namespace, source);
+    if (content) {
+      files[namespace] = parseJsonObject(content);
+    }
+  }
+
+  console.log(chalk.gray(`    📖 Loaded ${Object.keys(files).length} ${locale} locale files from ${source.repo || `${process.env.GITHUB_OWNER || 'TryGhost'}/${process.env.GITHUB_REPO || 'Ghost'}@${source.ref || 'main'}`}`));
+  return files;
+}
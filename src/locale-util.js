@@ -0,0 +1,149 @@
+/**
+ * locale-util.js
+ * Shared helpers for working with Ghost locale files and the lines added to them in a diff.
+ */
+
+/**
+ * Parse a single line of a flat locale file into its key/value pair
+ * @param {string} content - The line content, e.g. `    "Close": "Fermer",`
+ * @returns {Object|null} { key, value } or null if the line is not a single JSON pair
+ */
+export function parseTranslationLine(content) {
+  if (typeof content !== 'string') {
+    return null;
+  }
+
+  const trimmed = content.trim().replace(/,$/, '');
+  if (!trimmed.startsWith('"')) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(`{${trimmed}}`);
+    const keys = Object.keys(parsed);
+    if (keys.length !== 1 || typeof parsed[keys[0]] !== 'string') {
+      return null;
+    }
+    return { key: keys[0], value: parsed[keys[0]] };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a JSON file, returning an empty object when it is missing or invalid
+ */
+export function parseJsonObject(content) {
+  if (!content) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+const LOCALE_PATH_PATTERN = /^ghost\/i18n\/locales\/([^/]+)\/([^/]+)\.json$/;
+
+/**
+ * Split a locale file path into its locale and namespace
+ * @param {string} filename - e.g. `ghost/i18n/locales/fr/portal.json`
+ * @returns {Object|null} { locale, namespace } or null for files such as context.json
+ */
+export function parseLocalePath(filename) {
+  const match = filename.match(LOCALE_PATH_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { locale: match[1], namespace: match[2] };
+}
+
+/**
+ * Path of the English source file for a locale file
+ * @param {string} namespace - e.g. `portal`
+ * @returns {string} e.g. `ghost/i18n/locales/en/portal.json`
+ */
+export function getEnglishPath(namespace) {
+  return `ghost/i18n/locales/en/${namespace}.json`;
+}
+
+/**
+ * List the top-level keys of a flat JSON object in file order, with their line numbers.
+ * Unlike JSON.parse this keeps duplicate keys and tolerates syntax errors elsewhere in the file.
+ * @param {string} content - The raw file content
+ * @returns {Array} Array of objects: { key, line }
+ */
+export function listKeys(content) {
+  const keys = [];
+  let depth = 0;
+  let line = 1;
+  let pendingKey = null;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '\n') {
+      line++;
+    } else if (char === '"') {
+      const startLine = line;
+      let raw = '';
+      i++;
+      while (i < content.length && content[i] !== '"') {
+        if (content[i] === '\\') {
+          raw += content[i++];
+        }
+        if (content[i] === '\n') {
+          line++;
+        }
+        raw += content[i++];
+      }
+      pendingKey = depth === 1 ? { raw, line: startLine } : null;
+      continue;
+    } else if (char === ':') {
+      if (pendingKey) {
+        let key;
+        try {
+          key = JSON.parse(`"${pendingKey.raw}"`);
+        } catch (error) {
+          key = pendingKey.raw;
+        }
+        keys.push({ key, line: pendingKey.line });
+      }
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    }
+
+    if (!/\s/.test(char)) {
+      pendingKey = null;
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Validate a suggested replacement for a locale file line and format it like the original.
+ * The suggestion must be a single JSON key/value pair with the same key as the original line;
+ * the original indentation and trailing comma are kept so the file stays valid JSON.
+ * @param {string} originalLine - The added line the suggestion replaces
+ * @param {string} suggestedLine - The suggested replacement
+ * @returns {string|null} The formatted line, or null if the suggestion is not usable
+ */
+export function normalizeSuggestedLine(originalLine, suggestedLine) {
+  const original = parseTranslationLine(originalLine);
+  const suggested = parseTranslationLine(suggestedLine);
+  if (!original || !suggested || suggested.key !== original.key || suggested.value === original.value) {
+    return null;
+  }
+
+  const indentation = originalLine.match(/^\s*/)[0];
+  const trailingComma = originalLine.trimEnd().endsWith(',') ? ',' : '';
+  const line = `${indentation}${suggestedLine.trim().replace(/,$/, '')}${trailingComma}`;
+
+  // Multi-line suggestions would replace more than the commented line
+  return line.includes('\n') ? null : line;
+}
@@ -0,0 +1,264 @@
+/**
+ * patch-source.js
+ * Reads unified diffs from a local patch file or a git range and splits them into
+ * per-file entries shaped like the GitHub `pulls.listFiles` response.
+ */
+
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { parseHunkHeader } from './diff-util.js';
+
+const execFileAsync = promisify(execFile);
+
+// Large locale PRs easily exceed the default 1 MB of buffered git output
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Strip the a/ or b/ prefix git adds to paths in diff headers
+ */
+function stripPathPrefix(filePath) {
+  return filePath.replace(/^[ab]\//, '');
+}
+
+/**
+ * Split a unified diff (plain `git diff` output or a `git format-patch` series) into files
+ * @param {string} diffContent - The raw diff content
+ * @returns {Array} Array of objects: { filename, status, additions, deletions, patch }
+ */
+export function splitPatch(diffContent) {
+  const lines = diffContent.split('\n');
+  const files = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git ')) {
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      current = {
+        filename: match ? match[2] : '',
+        status: 'modified',
+        additions: 0,
+        deletions: 0,
+        hunks: []
+      };
+      files.push(current);
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    if (line.startsWith('new file mode')) {
+      current.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      current.status = 'removed';
+    } else if (line.startsWith('rename from')) {
+      current.status = 'renamed';
+    } else if (line.startsWith('+++ ') && line !== '+++ /dev/null') {
+      current.filename = stripPathPrefix(line.substring(4).trim());
+    } else if (line.startsWith('--- ') && current.status === 'removed') {
+      current.filename = stripPathPrefix(line.substring(4).trim());
+    } else if (line.startsWith('@@')) {
+      // Consume exactly as many lines as the hunk header announces, so mail signatures
+      // and blank lines between patches of a series never leak into the file's patch
+      const header = parseHunkHeader(line);
+      const hunkLines = [line];
+      let oldRemaining = header.oldCount;
+      let newRemaining = header.newCount;
+
+      while ((oldRemaining > 0 || newRemaining > 0) && i + 1 < lines.length) {
+        const hunkLine = lines[++i];
+        hunkLines.push(hunkLine);
+
+        if (hunkLine.startsWith('+')) {
+          current.additions++;
+          newRemaining--;
+        } else if (hunkLine.startsWith('-')) {
+          current.deletions++;
+          oldRemaining--;
+        } else if (hunkLine.startsWith('\\')) {
+          // "\ No newline at end of file" does not count towards either side
+        } else {
+          oldRemaining--;
+          newRemaining--;
+        }
+      }
+
+      // Keep a trailing "\ No newline at end of file" marker with its hunk
+      if (i + 1 < lines.length && lines[i + 1].startsWith('\\')) {
+        hunkLines.push(lines[++i]);
+      }
+
+      current.hunks.push(hunkLines.join('\n'));
+    }
+  }
+
+  return files.map(({ hunks, ...file }) => ({
+    ...file,
+    // Like GitHub's `file.patch`, the patch starts at the first hunk header
+    patch: hunks.length > 0 ? hunks.join('\n') : undefined
+  }));
+}
+
+/**
+ * Walk a file's hunks and record where every line inside them ends up on the new side.
+ * Lines the hunks delete map to null.
+ */
+function parseHunks(patch) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('@@')) {
+      const header = parseHunkHeader(line);
+      current = { ...header, lineMap: new Map(), added: [] };
+      hunks.push(current);
+      oldLine = header.oldStart;
+      newLine = header.newStart;
+    } else if (!current || line.startsWith('\\')) {
+      continue;
+    } else if (line.startsWith('+')) {
+      current.added.push({ line: newLine++, content: line.substring(1) });
+    } else if (line.startsWith('-')) {
+      current.lineMap.set(oldLine++, null);
+    } else {
+      current.lineMap.set(oldLine++, newLine++);
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Map a line number from before a patch to after it, or null if the patch removed or
+ * rewrote that line
+ */
+function mapLineThroughHunks(line, hunks) {
+  let offset = 0;
+  for (const hunk of hunks) {
+    // A hunk that only inserts ("-12,0") does so after its start line
+    if (line < hunk.oldStart + (hunk.oldCount === 0 ? 1 : 0)) {
+      break;
+    }
+    if (hunk.lineMap.has(line)) {
+      return hunk.lineMap.get(line);
+    }
+    offset += hunk.newCount - hunk.oldCount;
+  }
+  return line + offset;
+}
+
+/**
+ * A `git format-patch` series can touch the same file more than once. Comments are matched
+ * to files by name, so the patches of each file are merged into one: added lines of earlier
+ * patches are moved to where they end up after the later ones, and dropped when a later
+ * patch rewrites them. The merged patch only carries added lines, one hunk per run of
+ * consecutive lines, which is all the analysis looks at.
+ * @param {Array} files - Files as returned by splitPatch
+ * @returns {Array} One entry per filename, with `mergedPatches` set on merged entries
+ */
+export function mergePatchFiles(files) {
+  const byName = new Map();
+  for (const file of files) {
+    if (!byName.has(file.filename)) {
+      byName.set(file.filename, []);
+    }
+    byName.get(file.filename).push(file);
+  }
+
+  return [...byName.values()].map(patches => {
+    if (patches.length === 1) {
+      return patches[0];
+    }
+
+    let added = [];
+    for (const file of patches) {
+      const hunks = parseHunks(file.patch || '');
+      added = added
+        .map(entry => ({ ...entry, line: mapLineThroughHunks(entry.line, hunks) }))
+        .filter(entry => entry.line !== null)
+        .concat(hunks.flatMap(hunk => hunk.added));
+    }
+    added.sort((a, b) => a.line - b.line);
+
+    const runs = [];
+    for (const entry of added) {
+      const run = runs[runs.length - 1];
+      if (run && entry.line === run.start + run.lines.length) {
+        run.lines.push(entry.content);
+      } else {
+        runs.push({ start: entry.line, lines: [entry.content] });
+      }
+    }
+
+    const first = patches[0];
+    const last = patches[patches.length - 1];
+    return {
+      filename: last.filename,
+      status: first.status === 'added' && last.status !== 'removed' ? 'added' : last.status,
+      additions: added.length,
+      deletions: patches.reduce((sum, file) => sum + file.deletions, 0),
+      patch: runs.length > 0
+        ? runs.map(run => [`@@ -${run.start - 1},0 +${run.start},${run.lines.length} @@`, ...run.lines.map(line => `+${line}`)].join('\n')).join('\n')
+        : undefined,
+      mergedPatches: patches.length
+    };
+  });
+}
+
+/**
+ * Read a patch file from disk and split it into files
+ * @param {string} patchFile - Path to the patch file
+ * @returns {Promise<Array>} Files in the same shape as splitPatch
+ */
+export async function readPatchFile(patchFile) {
+  const content = await fs.readFile(patchFile, 'utf8');
+  return splitPatch(content);
+}
+
+/**
+ * Run `git diff` for a range in a local checkout and split the output into files
+ * @param {string} repoPath - Path to the local Ghost checkout
+ * @param {string} range - A git range such as `main..my-branch`
+ * @returns {Promise<Array>} Files in the same shape as splitPatch
+ */
+export async function readGitRange(repoPath, range) {
+  const { stdout } = await execFileAsync(
+    'git',
+    ['-C', repoPath, 'diff', '--no-color', '--no-ext-diff', range],
+    { maxBuffer: GIT_MAX_BUFFER }
+  );
+  return splitPatch(stdout);
+}
+
+/**
+ * Resolve a ref to its commit SHA in a local checkout
+ * @param {string} repoPath - Path to the local Ghost checkout
+ * @param {string} ref - Any git revision
+ * @returns {Promise<string>} The full commit SHA
+ */
+export async function resolveGitRef(repoPath, ref) {
+  const { stdout } = await execFileAsync('git', ['-C', repoPath, 'rev-parse', '--verify', `${ref}^{commit}`]);
+  return stdout.trim();
+}
+
+/**
+ * Read a file at a given ref from a local checkout
+ * @param {string} repoPath - Path to the local Ghost checkout
+ * @param {string} ref - Any git revision
+ * @param {string} filename - Repository-relative path
+ * @returns {Promise<string>} The file content
+ */
+export async function readGitFile(repoPath, ref, filename) {
+  const { stdout } = await execFileAsync(
+    'git',
+    ['-C', repoPath, 'show', `${ref}:${filename}`],
+    { maxBuffer: GIT_MAX_BUFFER }
+  );
+  return stdout;
+}
@@ -0,0 +1,85 @@
+/**
+ * providers/index.js
+ * Pluggable LLM provider layer. Every provider exposes the same minimal interface:
+ *
+ *   { name, model, complete(messages) → Promise<string|null> }
+ *
+ * where `messages` are OpenAI-style chat messages and the result is the raw text of the
+ * model's reply (null when the model returned nothing usable).
+ */
+
+import { createOpenAIProvider } from './openai.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDERS = {
+  'openai': createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'mock': createMockProvider,
+};
+
+const DEFAULT_MODELS = {
+  'openai': 'o4-mini',
+  'openai-compatible': 'llama3.1',
+  'mock': 'mock',
+};
+
+const DEFAULT_TIMEOUT = 10 * 60 * 1000; // 10 minutes in milliseconds
+const DEFAULT_MAX_PROMPT_TOKENS = 60000;
+const DEFAULT_CONCURRENCY = 3;
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Expected a number but got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Resolve the provider config from CLI options, falling back to environment variables
+ * @param {Object} options - CLI options (provider, model, baseUrl, temperature, jsonMode, mockResponse,
+ *                           maxPromptTokens, concurrency)
+ * @returns {Object} Resolved config
+ */
+export function resolveProviderConfig(options = {}) {
+  const provider = options.provider || process.env.LLM_PROVIDER || 'openai';
+
+  return {
+    provider,
+    model: options.model || process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+    baseUrl: options.baseUrl || process.env.LLM_BASE_URL || undefined,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    temperature: parseNumber(options.temperature ?? process.env.LLM_TEMPERATURE),
+    // Commander sets jsonMode to true by default, so only an explicit --no-json-mode overrides the env
+    jsonMode: options.jsonMode === false ? false : parseBoolean(process.env.LLM_JSON_MODE, true),
+    timeout: parseNumber(process.env.LLM_TIMEOUT) ?? DEFAULT_TIMEOUT,
+    mockResponse: options.mockResponse || process.env.LLM_MOCK_RESPONSE || undefined,
+    // Prompts above this estimate are split into chunks; lower it for models with small context windows
+    maxPromptTokens: parseNumber(options.maxPromptTokens ?? process.env.LLM_MAX_PROMPT_TOKENS) ?? DEFAULT_MAX_PROMPT_TOKENS,
+    concurrency: parseNumber(options.concurrency ?? process.env.LLM_CONCURRENCY) ?? DEFAULT_CONCURRENCY,
+  };
+}
+
+/**
+ * Create an LLM provider
+ * @param {Object} config - Config from resolveProviderConfig
+ * @returns {Object} Provider with name, model and complete(messages)
+ */
+export function createProvider(config = resolveProviderConfig()) {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(config);
+}
@@ -0,0 +1,36 @@
+/**
+ * mock.js
+ * Deterministic LLM provider that returns canned JSON, for running the pipeline without network access.
+ */
+
+import fs from 'fs/promises';
+
+const DEFAULT_RESPONSE = {
+  comments: [],
+  overall: 'Mock provider: no AI analysis was performed.'
+};
+
+/**
+ * Create a mock provider
+ * @param {Object} config - Resolved provider config; `config.mockResponse` may point at a JSON file
+ * @returns {Object} Provider with name, model and complete(messages)
+ */
+export function createMockProvider(config) {
+  return {
+    name: 'mock',
+    model: config.model || 'mock',
+    calls: [],
+
+    async complete(messages) {
+      this.calls.push(messages);
+
+      if (config.mockResponse) {
+        const content = await fs.readFile(config.mockResponse, 'utf8');
+        // Validate the canned response up front so that a broken fixture fails loudly
+        JSON.parse(content);
+        return content;
+      }
+      return JSON.stringify(DEFAULT_RESPONSE);
+    }
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * openai-compatible.js
+ * LLM provider for any server implementing the OpenAI chat completions API over HTTP,
+ * such as llama.cpp's server, Ollama, vLLM or LM Studio.
+ */
+
+/**
+ * Create a provider for an OpenAI-compatible HTTP endpoint
+ * @param {Object} config - Resolved provider config (see providers/index.js)
+ * @returns {Object} Provider with name, model and complete(messages)
+ */
+export function createOpenAICompatibleProvider(config) {
+  if (!config.baseUrl) {
+    throw new Error('The openai-compatible provider needs a base URL (LLM_BASE_URL or --base-url)');
+  }
+
+  const endpoint = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai-compatible',
+    model: config.model,
+
+    async complete(messages) {
+      const body = {
+        model: config.model,
+        // Most self-hosted servers only understand the classic system role
+        messages: messages.map(message => (
+          message.role === 'developer' ? { ...message, role: 'system' } : message
+        )),
+        stream: false,
+        ...(config.temperature !== undefined ? { temperature: config.temperature } : {}),
+        ...(config.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      };
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(config.timeout),
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`${endpoint} responded with ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      const data = await response.json();
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message || !choice.message.content) {
+        return null;
+      }
+
+      // Models without a real JSON mode sometimes wrap their answer in a code fence
+      return choice.message.content.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    }
+  };
+}
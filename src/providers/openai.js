@@ -0,0 +1,44 @@
+/**
+ * openai.js
+ * LLM provider backed by the official OpenAI SDK.
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create an OpenAI provider
+ * @param {Object} config - Resolved provider config (see providers/index.js)
+ * @returns {Object} Provider with name, model and complete(messages)
+ */
+export function createOpenAIProvider(config) {
+  let client = null;
+
+  return {
+    name: 'openai',
+    model: config.model,
+
+    async complete(messages) {
+      // Created lazily so that commands which never call the AI do not need an API key
+      if (!client) {
+        client = new OpenAI({
+          apiKey: config.apiKey,
+          ...(config.baseUrl ? { baseURL: config.baseUrl } : {}),
+          timeout: config.timeout,
+        });
+      }
+
+      const response = await client.chat.completions.create({
+        model: config.model,
+        messages,
+        ...(config.temperature !== undefined ? { temperature: config.temperature } : {}),
+        ...(config.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      });
+
+      const choice = response.choices[0];
+      if (!choice || !choice.message || !choice.message.content || choice.message.refusal) {
+        return null;
+      }
+      return choice.message.content;
+    }
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * render.js
+ * Renders a validation report as Markdown or as a self-contained HTML page, so it can be
+ * read without opening the raw JSON or GitHub.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseTranslationLine } from './locale-util.js';
+
+export const RENDER_FORMATS = {
+  md: { extension: '.md', render: renderMarkdown },
+  html: { extension: '.html', render: renderHtml }
+};
+
+/**
+ * Icon shown next to a comment of the given severity
+ * @param {string} type - error, warning, info or suggestion
+ * @returns {string} An emoji
+ */
+export function getIssueIcon(type) {
+  switch ((type || '').toLowerCase()) {
+    case 'error':
+      return '❌';
+    case 'warning':
+      return '⚠️';
+    case 'info':
+      return 'ℹ️';
+    default:
+      return '📝';
+  }
+}
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - A report written by analyzePR or analyzePatch
+ * @returns {string} Markdown document
+ */
+export function renderMarkdown(report) {
+  const lines = [`# i18n validation: ${getReportTitle(report)}`, ''];
+
+  const meta = [];
+  if (report.prUrl) {
+    meta.push(`[${report.prUrl}](${report.prUrl})`);
+  }
+  meta.push(`Analyzed at ${report.analyzedAt}`);
+  lines.push(meta.join(' · '), '');
+
+  lines.push('## Summary', '');
+  lines.push('| Files | i18n files | Skipped files | Files with comments | Comments | Structure issues |');
+  lines.push('| ---: | ---: | ---: | ---: | ---: | ---: |');
+  const summary = report.summary || {};
+  lines.push(`| ${summary.totalFiles ?? 0} | ${summary.i18nFiles ?? 0} | ${summary.skippedFiles ?? 0} | ${summary.filesWithComments ?? 0} | ${summary.totalComments ?? 0} | ${summary.structureIssues ?? 0} |`, '');
+
+  if (report.overallComment) {
+    lines.push('## Overall Comment', '');
+    lines.push(...report.overallComment.trim().split('\n').map(line => `> ${line}`.trimEnd()), '');
+  }
+
+  lines.push('## Files', '');
+  for (const file of report.files || []) {
+    lines.push(`### \`${file.filename}\``, '');
+    lines.push(`${file.status}, +${file.additions ?? 0} −${file.deletions ?? 0}`, '');
+
+    if (file.jsonError) {
+      lines.push(`❌ Not valid JSON: ${file.jsonError.message} (line ${file.jsonError.line}, column ${file.jsonError.column})`, '');
+    }
+
+    for (const composition of file.compositions || []) {
+      lines.push(`Composed sentences of ${inlineCode(composition.template)}:`, '');
+      lines.push(...composition.renderings.map(rendering => `- ${inlineCode(rendering.rendered)}`), '');
+    }
+
+    const comments = getFileComments(file);
+    if (comments.length === 0) {
+      lines.push('No comments.', '');
+      continue;
+    }
+
+    for (const { comment, lineNumber, english, translation } of comments) {
+      const heading = [`${getIssueIcon(comment.type)} **${comment.type}**`];
+      if (lineNumber) {
+        heading.push(`line ${lineNumber}`);
+      }
+      if (comment.check) {
+        heading.push(`\`${comment.check}\``);
+      }
+      lines.push(`#### ${heading.join(' · ')}`, '');
+      lines.push(comment.message, '');
+      if (english !== null) {
+        lines.push(`- English: ${inlineCode(english)}`);
+      }
+      if (translation !== null) {
+        lines.push(`- Translation: ${inlineCode(translation)}`);
+      }
+      if (comment.suggestion) {
+        lines.push(`- Suggestion: ${inlineCode(comment.suggestion.trim())}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.skippedFiles && report.skippedFiles.length > 0) {
+    lines.push('## Skipped Files', '');
+    for (const file of report.skippedFiles) {
+      lines.push(`- \`${file.filename}\` (${file.status})`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a report as a self-contained HTML page (inline styles, no external assets)
+ * @param {Object} report - A report written by analyzePR or analyzePatch
+ * @returns {string} HTML document
+ */
+export function renderHtml(report) {
+  const title = `i18n validation: ${getReportTitle(report)}`;
+  const summary = report.summary || {};
+  const parts = [];
+
+  parts.push(`<h1>${escapeHtml(title)}</h1>`);
+  parts.push(`<p class="meta">${report.prUrl ? `<a href="${escapeHtml(report.prUrl)}">${escapeHtml(report.prUrl)}</a> · ` : ''}Analyzed at ${escapeHtml(report.analyzedAt)}</p>`);
+
+  parts.push('<h2>Summary</h2>');
+  parts.push(`<table class="summary">
+<tr><th>Files</th><th>i18n files</th><th>Skipped files</th><th>Files with comments</th><th>Comments</th><th>Structure issues</th></tr>
+<tr><td>${summary.totalFiles ?? 0}</td><td>${summary.i18nFiles ?? 0}</td><td>${summary.skippedFiles ?? 0}</td><td>${summary.filesWithComments ?? 0}</td><td>${summary.totalComments ?? 0}</td><td>${summary.structureIssues ?? 0}</td></tr>
+</table>`);
+
+  if (report.overallComment) {
+    parts.push('<h2>Overall Comment</h2>');
+    parts.push(`<blockquote>${escapeHtml(report.overallComment.trim()).replace(/\n/g, '<br>')}</blockquote>`);
+  }
+
+  parts.push('<h2>Files</h2>');
+  for (const file of report.files || []) {
+    parts.push('<section class="file">');
+    parts.push(`<h3><code>${escapeHtml(file.filename)}</code> <span class="meta">${escapeHtml(file.status)}, +${file.additions ?? 0} −${file.deletions ?? 0}</span></h3>`);
+
+    if (file.jsonError) {
+      parts.push(`<p class="comment error">❌ Not valid JSON: ${escapeHtml(file.jsonError.message)} (line ${file.jsonError.line}, column ${file.jsonError.column})</p>`);
+    }
+
+    for (const composition of file.compositions || []) {
+      parts.push(`<p>Composed sentences of <code>${escapeHtml(composition.template)}</code>:</p>`);
+      parts.push(`<ul>${composition.renderings.map(rendering => `<li><code>${escapeHtml(rendering.rendered)}</code></li>`).join('')}</ul>`);
+    }
+
+    const comments = getFileComments(file);
+    if (comments.length === 0) {
+      parts.push('<p class="meta">No comments.</p>');
+    }
+
+    for (const { comment, lineNumber, english, translation } of comments) {
+      const type = escapeHtml(comment.type || 'info');
+      parts.push(`<div class="comment ${type}">`);
+      parts.push(`<div class="heading">${getIssueIcon(comment.type)} <strong>${type}</strong>${lineNumber ? ` · line ${lineNumber}` : ''}${comment.check ? ` · <code>${escapeHtml(comment.check)}</code>` : ''}</div>`);
+      parts.push(`<p>${escapeHtml(comment.message)}</p>`);
+      parts.push('<dl>');
+      if (english !== null) {
+        parts.push(`<dt>English</dt><dd><code>${escapeHtml(english)}</code></dd>`);
+      }
+      if (translation !== null) {
+        parts.push(`<dt>Translation</dt><dd><code>${escapeHtml(translation)}</code></dd>`);
+      }
+      if (comment.suggestion) {
+        parts.push(`<dt>Suggestion</dt><dd><code>${escapeHtml(comment.suggestion.trim())}</code></dd>`);
+      }
+      parts.push('</dl>');
+      parts.push('</div>');
+    }
+
+    parts.push('</section>');
+  }
+
+  if (report.skippedFiles && report.skippedFiles.length > 0) {
+    parts.push('<h2>Skipped Files</h2>');
+    parts.push(`<ul>${report.skippedFiles.map(file => `<li><code>${escapeHtml(file.filename)}</code> (${escapeHtml(file.status)})</li>`).join('')}</ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1f2328; line-height: 1.5; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background: #f6f8fa; padding: 0.1em 0.3em; border-radius: 4px; word-break: break-word; }
+.meta { color: #656d76; font-weight: normal; font-size: 0.9em; }
+table.summary { border-collapse: collapse; }
+table.summary th, table.summary td { border: 1px solid #d0d7de; padding: 0.3em 0.8em; text-align: right; }
+blockquote { margin: 0; padding: 0.5em 1em; border-left: 4px solid #d0d7de; color: #424a53; }
+section.file { border-top: 1px solid #d0d7de; margin-top: 1.5em; }
+.comment { border-left: 4px solid #8c959f; background: #f6f8fa; padding: 0.5em 1em; margin: 0.8em 0; }
+.comment.error { border-color: #cf222e; }
+.comment.warning { border-color: #bf8700; }
+.comment.info { border-color: #0969da; }
+.comment.suggestion { border-color: #1a7f37; }
+.comment p { margin: 0.3em 0; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.2em 1em; margin: 0.3em 0; }
+dt { color: #656d76; }
+dd { margin: 0; }
+</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report file and write it next to it, e.g. ai_validations/1234.md
+ * @param {string} reportFile - Path of the JSON report
+ * @param {string} format - md or html
+ * @param {string} output - Output path (default: the report path with the format's extension)
+ * @returns {Promise<string>} The path written
+ */
+export async function writeRenderedReport(reportFile, format, output = null) {
+  const renderer = RENDER_FORMATS[format];
+  if (!renderer) {
+    throw new Error(`Unknown format "${format}" (use ${Object.keys(RENDER_FORMATS).join(' or ')})`);
+  }
+
+  const report = JSON.parse(await fs.readFile(reportFile, 'utf8'));
+  const outputFile = output || path.join(path.dirname(reportFile), `${path.basename(reportFile, '.json')}${renderer.extension}`);
+  await fs.writeFile(outputFile, renderer.render(report));
+  return outputFile;
+}
+
+function getReportTitle(report) {
+  return report.prNumber ? `PR #${report.prNumber} – ${report.prTitle}` : report.prTitle;
+}
+
+/**
+ * Pair every comment of a file with the line it is on, its English source and the translation
+ * @param {Object} file - A file entry of a report
+ * @returns {Array} { comment, lineNumber, english, translation }
+ */
+export function getFileComments(file) {
+  const linesByPosition = new Map((file.changedLines || []).map(line => [line.diffPosition, line]));
+
+  return (file.comments || []).map(comment => {
+    const line = linesByPosition.get(comment.diffPosition);
+    const pair = line ? parseTranslationLine(line.content) : null;
+    return {
+      comment,
+      lineNumber: line ? line.fileLineNumber : null,
+      // Reports written before the English source was recorded fall back to the key, which is the English string in Ghost
+      english: line && typeof line.english === 'string' ? line.english : (pair ? pair.key : null),
+      translation: pair ? pair.value : (line ? line.content.trim() : null)
+    };
+  });
+}
+
+function inlineCode(text) {
+  const fence = text.includes('`') ? '``' : '`';
+  return `${fence}${fence === '``' ? ` ${text} ` : text}${fence}`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
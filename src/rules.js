@@ -0,0 +1,30 @@
+/**
+ * rules.js
+ * Loads the configuration files of the rule-based checks from the rules/ directory.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RULES_DIR = path.join(__dirname, '..', 'rules');
+
+/**
+ * Load a JSON file from the rules directory
+ * @param {string} name - Path relative to rules/, e.g. `punctuation.json`
+ * @returns {Promise<Object|null>} The parsed file, or null if it does not exist
+ */
+export async function loadRulesFile(name) {
+  try {
+    const content = await fs.readFile(path.join(RULES_DIR, name), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Invalid rules file ${name}: ${error.message}`);
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * sarif.js
+ * Exports a validation report as SARIF 2.1.0, so i18n findings show up next to the
+ * results of other linters in code scanning.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+const TOOL_NAME = 'ghost-i18n-tooling';
+const TOOL_VERSION = '1.0.0';
+
+// SARIF has no separate level for suggestions
+const SARIF_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+  suggestion: 'note'
+};
+
+// Descriptions of the rule-based checks (by `check`) and of the AI comment categories (by `category`)
+const RULE_DESCRIPTIONS = {
+  'json-syntax': 'Locale file is not valid JSON',
+  'security': 'Translation contains injected links, markup, hidden characters, brand lookalikes or offensive language',
+  'placeholder': 'Translation variables do not match the English source',
+  'plural': 'Plural variants do not match the plural forms of the locale',
+  'glossary': 'Translation does not use the approved glossary term',
+  'translation-memory': 'Translation is inconsistent with an existing translation of the same string',
+  'punctuation': 'Punctuation, whitespace, markup or casing differs from the English source',
+  'language': 'Translation is untranslated or in the wrong script or language',
+  'formality': 'Translation addresses the reader more or less formally than the rest of the locale',
+  'ai-typo': 'Possible typo (AI review)',
+  'ai-grammar': 'Possible grammar error (AI review)',
+  'ai-accuracy': 'Possibly inaccurate translation (AI review)',
+  'ai-punctuation': 'Punctuation differs from the English source (AI review)',
+  'ai-variables': 'Problem with a translation variable (AI review)',
+  'ai-formality': 'Inconsistent formality or tone (AI review)',
+  'ai-consistency': 'Inconsistent wording (AI review)',
+  'ai-other': 'Other translation issue (AI review)'
+};
+
+/**
+ * Stable rule ID of a comment: the rule-based check that produced it, or the AI category
+ * @param {Object} comment - A report comment
+ * @returns {string} e.g. `i18n/placeholder` or `i18n/ai-typo`
+ */
+export function getRuleId(comment) {
+  if (comment.check) {
+    return `i18n/${comment.check}`;
+  }
+  return `i18n/ai-${comment.category || 'other'}`;
+}
+
+/**
+ * Convert a report to a SARIF log
+ * @param {Object} report - A report written by analyzePR or analyzePatch
+ * @returns {Object} SARIF 2.1.0 log with a single run
+ */
+export function buildSarif(report) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  const results = [];
+
+  for (const file of report.files || []) {
+    const linesByPosition = new Map((file.changedLines || []).map(line => [line.diffPosition, line]));
+
+    for (const comment of file.comments || []) {
+      const ruleId = getRuleId(comment);
+      if (!ruleIndexes.has(ruleId)) {
+        const name = ruleId.replace(/^i18n\//, '');
+        ruleIndexes.set(ruleId, rules.length);
+        rules.push({
+          id: ruleId,
+          name,
+          shortDescription: { text: RULE_DESCRIPTIONS[name] || `i18n check: ${name}` }
+        });
+      }
+
+      const line = linesByPosition.get(comment.diffPosition);
+      const region = line && typeof line.fileLineNumber === 'number' ? { region: { startLine: line.fileLineNumber } } : {};
+
+      results.push({
+        ruleId,
+        ruleIndex: ruleIndexes.get(ruleId),
+        level: SARIF_LEVELS[(comment.type || '').toLowerCase()] || 'note',
+        message: { text: comment.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: file.filename, uriBaseId: '%SRCROOT%' },
+            ...region
+          }
+        }],
+        // Lets code scanning track a finding across commits even when its line moves
+        partialFingerprints: {
+          'i18nFinding/v1': getFingerprint(file.filename, line ? line.content : '', ruleId, comment.message)
+        }
+      });
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: TOOL_VERSION,
+          rules
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { description: { text: 'Root of the Ghost repository' } }
+      },
+      results
+    }]
+  };
+}
+
+/**
+ * Write the SARIF log of a report
+ * @param {Object} report - A report written by analyzePR or analyzePatch
+ * @param {string} outputFile - Path of the .sarif file
+ */
+export async function writeSarif(report, outputFile) {
+  await fs.writeFile(outputFile, JSON.stringify(buildSarif(report), null, 2));
+}
+
+function getFingerprint(filename, lineContent, ruleId, message) {
+  return crypto
+    .createHash('sha1')
+    .update(`${filename}\n${lineContent.trim()}\n${ruleId}\n${message}`)
+    .digest('hex')
+    .substring(0, 16);
+}
@@ -0,0 +1,259 @@
+/**
+ * server.js
+ * A small webhook server that reviews i18n PRs when they are opened or updated.
+ *
+ * Endpoints:
+ *   POST /webhook   GitHub webhook receiver (pull_request and ping events)
+ *   GET  /health    Liveness check with queue counts
+ *   GET  /jobs      Recent jobs, newest first
+ *   GET  /jobs/:id  One job
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import path from 'path';
+import chalk from 'chalk';
+import { analyzePR } from './analyzer.js';
+import { postComments } from './github.js';
+import { listPRLocales } from './batch.js';
+
+// pull_request actions that (re-)trigger a review
+const REVIEW_ACTIONS = ['opened', 'reopened', 'synchronize', 'ready_for_review'];
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_JOBS = 200;
+
+/**
+ * Verify the X-Hub-Signature-256 header of a webhook delivery
+ * @param {Buffer} body - The raw request body
+ * @param {string|undefined} signature - The header value, `sha256=<hex>`
+ * @param {string} secret - The webhook secret
+ * @returns {boolean}
+ */
+export function verifySignature(body, signature, secret) {
+  if (!signature || !signature.startsWith('sha256=')) {
+    return false;
+  }
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create the webhook server
+ * @param {Object} options - Analysis options plus { secret, verify, dryRun, event }
+ * @returns {http.Server} A server that is not listening yet
+ */
+export function createWebhookServer(options = {}) {
+  const jobs = [];
+  const jobsById = new Map();
+  // Tail of each PR's job chain, so that jobs for the same PR run one at a time
+  const queues = new Map();
+  let nextJobId = 1;
+
+  function enqueue(prNumber, details) {
+    const job = {
+      id: String(nextJobId++),
+      prNumber,
+      ...details,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+    };
+    jobs.unshift(job);
+    jobsById.set(job.id, job);
+    while (jobs.length > MAX_JOBS) {
+      jobsById.delete(jobs.pop().id);
+    }
+
+    const previous = queues.get(prNumber) || Promise.resolve();
+    const current = previous.then(() => runJob(job, options));
+    queues.set(prNumber, current);
+    current.finally(() => {
+      if (queues.get(prNumber) === current) {
+        queues.delete(prNumber);
+      }
+    });
+
+    console.log(chalk.blue(`📥 Queued job ${job.id} for PR #${prNumber} (${details.action})`));
+    return job;
+  }
+
+  async function handleWebhook(req, res) {
+    const body = await readBody(req);
+
+    if (options.verify !== false && !verifySignature(body, req.headers['x-hub-signature-256'], options.secret)) {
+      console.log(chalk.yellow(`⚠️  Rejected webhook with an invalid signature (delivery ${req.headers['x-github-delivery'] || 'unknown'})`));
+      return sendJson(res, 401, { error: 'Invalid signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return sendJson(res, 400, { error: 'Invalid JSON payload' });
+    }
+
+    const event = req.headers['x-github-event'];
+    if (event === 'ping') {
+      return sendJson(res, 200, { ok: true });
+    }
+    if (event !== 'pull_request') {
+      return sendJson(res, 202, { ignored: `Event ${event} is not handled` });
+    }
+    if (!REVIEW_ACTIONS.includes(payload.action)) {
+      return sendJson(res, 202, { ignored: `Action ${payload.action} is not handled` });
+    }
+
+    const repository = payload.repository && payload.repository.full_name;
+    const expected = `${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}`;
+    if (repository && repository.toLowerCase() !== expected.toLowerCase()) {
+      return sendJson(res, 202, { ignored: `Repository ${repository} is not ${expected}` });
+    }
+
+    const pr = payload.pull_request || {};
+    if (pr.draft) {
+      return sendJson(res, 202, { ignored: 'Draft PRs are not reviewed' });
+    }
+
+    const prNumber = pr.number || payload.number;
+    if (!Number.isInteger(prNumber) || prNumber < 1) {
+      return sendJson(res, 400, { error: 'The payload has no valid pull request number' });
+    }
+
+    const job = enqueue(prNumber, {
+      action: payload.action,
+      headSha: pr.head ? pr.head.sha : null,
+      deliveryId: req.headers['x-github-delivery'] || null,
+    });
+    return sendJson(res, 202, { job });
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, {
+          status: 'ok',
+          uptime: Math.round(process.uptime()),
+          queued: jobs.filter(job => job.status === 'queued').length,
+          running: jobs.filter(job => job.status === 'running').length,
+        });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/jobs') {
+        return sendJson(res, 200, { jobs });
+      }
+
+      const jobMatch = url.pathname.match(/^\/jobs\/([^/]+)$/);
+      if (req.method === 'GET' && jobMatch) {
+        const job = jobsById.get(jobMatch[1]);
+        return job ? sendJson(res, 200, job) : sendJson(res, 404, { error: 'Job not found' });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/webhook') {
+        return await handleWebhook(req, res);
+      }
+
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      console.error(chalk.red('❌ Request failed:'), error.message);
+      return sendJson(res, error.statusCode || 500, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Start the webhook server
+ * @param {Object} options - Analysis options plus { port, secret, verify, dryRun, event }
+ * @returns {Promise<http.Server>}
+ */
+export async function startWebhookServer(options = {}) {
+  if (options.verify !== false && !options.secret) {
+    throw new Error('GITHUB_WEBHOOK_SECRET is required to verify webhooks (use --no-verify for local testing only)');
+  }
+  if (options.verify === false) {
+    console.log(chalk.yellow('⚠️  Webhook signatures are NOT verified - do not expose this server'));
+  }
+
+  const server = createWebhookServer(options);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, resolve);
+  });
+
+  console.log(chalk.green(`✅ Listening on port ${server.address().port}`));
+  console.log(chalk.gray(`    POST /webhook, GET /health, GET /jobs, GET /jobs/:id`));
+  return server;
+}
+
+async function runJob(job, options) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  console.log(chalk.cyan(`\n🔍 Job ${job.id}: reviewing PR #${job.prNumber}...`));
+
+  try {
+    const locales = await listPRLocales(job.prNumber);
+    if (!locales) {
+      job.status = 'skipped';
+      job.reason = 'The PR does not change any locale files';
+      return;
+    }
+    job.locales = locales;
+
+    const reportFile = path.join('ai_validations', `${job.prNumber}.json`);
+    const report = await analyzePR(job.prNumber, { ...options, output: reportFile });
+    if (!report) {
+      job.status = 'skipped';
+      job.reason = 'No i18n changes to analyze';
+      return;
+    }
+    job.comments = report.summary.totalComments;
+
+    if (report.securityFlags && report.securityFlags.length > 0) {
+      job.status = 'held';
+      job.reason = `The security scan flagged ${report.securityFlags.length} strings`;
+      job.securityFlags = report.securityFlags;
+      console.log(chalk.red(`🚨 Job ${job.id}: not posting, ${job.reason.toLowerCase()}`));
+      return;
+    }
+
+    if (!options.dryRun) {
+      const counts = await postComments(job.prNumber, reportFile, { event: options.event });
+      job.posted = counts;
+    }
+    job.status = 'done';
+  } catch (error) {
+    console.error(chalk.red(`❌ Job ${job.id} failed:`), error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    console.log(chalk.gray(`📋 Job ${job.id} for PR #${job.prNumber}: ${job.status}`));
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Payload too large');
+        error.statusCode = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
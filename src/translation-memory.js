@@ -0,0 +1,175 @@
+/**
+ * translation-memory.js
+ * An index of the translations already merged for a locale. Added strings are looked up in it
+ * to find exact and fuzzy matches of their English source elsewhere in the locale.
+ */
+
+import chalk from 'chalk';
+import { loadLocaleFiles, resolveSourceCommit } from './locale-files.js';
+import { parseTranslationLine, parseLocalePath, parseJsonObject } from './locale-util.js';
+import { getKeyContextId } from './key-context.js';
+
+// Minimum trigram similarity (Dice coefficient) of a fuzzy match
+const FUZZY_THRESHOLD = 0.7;
+const MAX_FUZZY_MATCHES = 3;
+
+// Indexes are shared by all analyses in the same process: `${locale}@${source}` → { commit, memory }.
+// A GitHub ref such as main moves, so an entry is only reused while the ref points at the same commit
+const memoryCache = new Map();
+
+/**
+ * Build the translation memory of a locale
+ * @param {string} locale - e.g. `fr`
+ * @param {Object} source - { ref } for GitHub or { repo } for a local checkout
+ * @returns {Promise<Object>} { locale, entries, exact, trigrams }
+ */
+export async function buildTranslationMemory(locale, source = {}) {
+  const cacheKey = `${locale}@${source.repo || source.ref || 'main'}`;
+  const commit = await resolveSourceCommit(source);
+  const cached = memoryCache.get(cacheKey);
+  if (cached && cached.commit === commit) {
+    return cached.memory;
+  }
+
+  const englishFiles = await loadLocaleFiles('en', source);
+  const localeFiles = await loadLocaleFiles(locale, source);
+
+  const memory = { locale, entries: [], exact: new Map(), trigrams: new Map() };
+
+  for (const [namespace, translations] of Object.entries(localeFiles)) {
+    const english = englishFiles[namespace] || {};
+
+    for (const [key, translation] of Object.entries(translations)) {
+      if (typeof translation !== 'string' || translation === '') {
+        continue;
+      }
+
+      // Ghost's English files use the English string as the key and usually leave the value empty
+      const entry = {
+        namespace,
+        key,
+        english: typeof english[key] === 'string' && english[key] !== '' ? english[key] : key,
+        translation
+      };
+      const normalized = normalizeText(entry.english);
+      const grams = getTrigrams(normalized);
+      const index = memory.entries.push({ ...entry, normalized, trigramCount: grams.size }) - 1;
+
+      if (!memory.exact.has(normalized)) {
+        memory.exact.set(normalized, []);
+      }
+      memory.exact.get(normalized).push(index);
+
+      for (const gram of grams) {
+        if (!memory.trigrams.has(gram)) {
+          memory.trigrams.set(gram, []);
+        }
+        memory.trigrams.get(gram).push(index);
+      }
+    }
+  }
+
+  console.log(chalk.gray(`    🧠 Translation memory for ${locale}: ${memory.entries.length} strings`));
+  memoryCache.set(cacheKey, { commit, memory });
+  return memory;
+}
+
+/**
+ * Find existing translations of an English string
+ * @param {Object} memory - From buildTranslationMemory
+ * @param {string} english - The English source string
+ * @param {Object} exclude - { namespace, key } of the string itself, so it does not match its old version
+ * @returns {Object} { exact: [entry], fuzzy: [entry with similarity] }
+ */
+export function findMatches(memory, english, exclude = {}) {
+  const normalized = normalizeText(english);
+  const isExcluded = entry => entry.namespace === exclude.namespace && entry.key === exclude.key;
+
+  const exact = (memory.exact.get(normalized) || [])
+    .map(index => memory.entries[index])
+    .filter(entry => !isExcluded(entry))
+    .map(toMatch);
+
+  // Count the trigrams shared with every entry through the inverted index
+  const grams = getTrigrams(normalized);
+  const shared = new Map();
+  for (const gram of grams) {
+    for (const index of memory.trigrams.get(gram) || []) {
+      shared.set(index, (shared.get(index) || 0) + 1);
+    }
+  }
+
+  const fuzzy = [];
+  for (const [index, count] of shared) {
+    const entry = memory.entries[index];
+    if (entry.normalized === normalized || isExcluded(entry)) {
+      continue;
+    }
+    const similarity = (2 * count) / (grams.size + entry.trigramCount);
+    if (similarity >= FUZZY_THRESHOLD) {
+      fuzzy.push({ ...toMatch(entry), similarity: Math.round(similarity * 100) / 100 });
+    }
+  }
+  fuzzy.sort((a, b) => b.similarity - a.similarity);
+
+  return { exact, fuzzy: fuzzy.slice(0, MAX_FUZZY_MATCHES) };
+}
+
+/**
+ * Look up every added key/value line of the changed files
+ * @param {Array} fileChanges - Files collected by analyzePR (with englishFileContent)
+ * @param {Map} memories - locale → translation memory
+ * @returns {Map} getKeyContextId(filename, diffPosition) → { key, english, exact, fuzzy }, only for lines with matches
+ */
+export function findMemoryMatches(fileChanges, memories) {
+  const matches = new Map();
+
+  for (const fileChange of fileChanges) {
+    const localePath = parseLocalePath(fileChange.filename);
+    const memory = localePath && memories.get(localePath.locale);
+    if (!memory) {
+      continue;
+    }
+    const english = parseJsonObject(fileChange.englishFileContent);
+
+    for (const line of fileChange.changedLines) {
+      if (line.type !== 'added') {
+        continue;
+      }
+      const pair = parseTranslationLine(line.content);
+      if (!pair) {
+        continue;
+      }
+
+      const englishText = typeof english[pair.key] === 'string' && english[pair.key] !== '' ? english[pair.key] : pair.key;
+      const { exact, fuzzy } = findMatches(memory, englishText, { namespace: localePath.namespace, key: pair.key });
+      if (exact.length > 0 || fuzzy.length > 0) {
+        matches.set(getKeyContextId(fileChange.filename, line.diffPosition), { key: pair.key, english: englishText, exact, fuzzy });
+      }
+    }
+  }
+
+  return matches;
+}
+
+function toMatch(entry) {
+  return {
+    namespace: entry.namespace,
+    key: entry.key,
+    english: entry.english,
+    translation: entry.translation
+  };
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function getTrigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
@@ -0,0 +1,136 @@
+/**
+ * triage.js
+ * Walks through the comments of a report in the terminal so a reviewer can accept, reject or
+ * edit them before posting, instead of editing the JSON by hand.
+ */
+
+import fs from 'fs/promises';
+import readline from 'readline/promises';
+import chalk from 'chalk';
+import { getFileComments, getIssueIcon } from './render.js';
+
+export const TRIAGE_ACCEPTED = 'accepted';
+export const TRIAGE_REJECTED = 'rejected';
+
+const SEVERITIES = ['error', 'warning', 'info', 'suggestion'];
+
+/**
+ * Whether a report has been through triage, in which case only accepted comments are posted
+ * @param {Object} report - A report written by analyzePR
+ * @returns {boolean}
+ */
+export function isTriaged(report) {
+  return Boolean(report.triage);
+}
+
+/**
+ * Interactively triage the comments of a report and save the decisions back to it
+ * @param {string} reportFile - Path of the JSON report
+ * @param {Object} options - { all: also revisit comments that already have a decision }
+ * @returns {Promise<Object>} Counts: { accepted, rejected, undecided }
+ */
+export async function triageReport(reportFile, options = {}) {
+  const report = JSON.parse(await fs.readFile(reportFile, 'utf8'));
+
+  const queue = [];
+  for (const file of report.files || []) {
+    for (const item of getFileComments(file)) {
+      if (options.all || !item.comment.triage) {
+        queue.push({ file, ...item });
+      }
+    }
+  }
+
+  const total = report.files.reduce((sum, file) => sum + (file.comments ? file.comments.length : 0), 0);
+  console.log(chalk.cyan(`📋 ${queue.length} of ${total} comments to triage`));
+  console.log(chalk.gray('   [a]ccept, [r]eject, [e]dit message, change [s]everity, s[k]ip, [q]uit'));
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  // Reading lines from the iterator (rather than rl.question) keeps answers that were piped in ahead of time
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async prompt => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? null : value.trim();
+  };
+
+  try {
+    for (let i = 0; i < queue.length; i++) {
+      const { file, comment, lineNumber, english, translation } = queue[i];
+      const changedLine = (file.changedLines || []).find(line => line.diffPosition === comment.diffPosition);
+
+      console.log('');
+      console.log(chalk.bold(`[${i + 1}/${queue.length}] ${file.filename}${lineNumber ? `:${lineNumber}` : ''}`));
+      if (changedLine) {
+        console.log(chalk.green(`  + ${changedLine.content.trim()}`));
+      }
+      if (english !== null) {
+        console.log(chalk.gray(`  English:     ${english}`));
+      }
+      if (translation !== null) {
+        console.log(chalk.gray(`  Translation: ${translation}`));
+      }
+
+      let decided = false;
+      while (!decided) {
+        console.log(`  ${getIssueIcon(comment.type)} ${comment.type}${comment.check ? ` (${comment.check})` : ''}${comment.triage ? chalk.gray(` – ${comment.triage}`) : ''}`);
+        console.log(`  ${comment.message}`);
+        if (comment.suggestion) {
+          console.log(chalk.gray(`  Suggestion: ${comment.suggestion.trim()}`));
+        }
+
+        // End of input counts as quitting
+        const answer = ((await ask(chalk.blue('  Decision [a/r/e/s/k/q]: '))) ?? 'q').toLowerCase();
+
+        if (answer === 'a') {
+          comment.triage = TRIAGE_ACCEPTED;
+          decided = true;
+        } else if (answer === 'r') {
+          comment.triage = TRIAGE_REJECTED;
+          decided = true;
+        } else if (answer === 'e') {
+          const message = await ask('  New message (empty keeps the current one): ');
+          if (message) {
+            comment.originalMessage = comment.originalMessage || comment.message;
+            comment.message = message;
+          }
+        } else if (answer === 's') {
+          const type = ((await ask(`  Severity [${SEVERITIES.join('/')}]: `)) || '').toLowerCase();
+          if (SEVERITIES.includes(type)) {
+            comment.originalType = comment.originalType || comment.type;
+            comment.type = type;
+          } else {
+            console.log(chalk.yellow(`  ⚠️  Unknown severity "${type}"`));
+          }
+        } else if (answer === 'k') {
+          decided = true;
+        } else if (answer === 'q') {
+          i = queue.length;
+          decided = true;
+        } else {
+          console.log(chalk.yellow('  ⚠️  Please answer a, r, e, s, k or q'));
+        }
+      }
+
+      // Save after every comment so that quitting never loses decisions. Skipping or quitting
+      // without a decision leaves the report untriaged, so that all of its comments still get posted
+      if (comment.triage) {
+        report.triage = { updatedAt: new Date().toISOString() };
+      }
+      await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+    }
+  } finally {
+    rl.close();
+  }
+
+  const comments = report.files.flatMap(file => file.comments || []);
+  const counts = {
+    accepted: comments.filter(comment => comment.triage === TRIAGE_ACCEPTED).length,
+    rejected: comments.filter(comment => comment.triage === TRIAGE_REJECTED).length,
+  };
+  counts.undecided = comments.length - counts.accepted - counts.rejected;
+
+  console.log('');
+  console.log(chalk.cyan(`📊 ${counts.accepted} accepted, ${counts.rejected} rejected, ${counts.undecided} undecided`));
+  return counts;
+}
@@ -1,44 +1,45 @@
 #!/usr/bin/env node
 
 import { getOriginalFileContent } from './src/analyzer.js';
+import { clearCache, getCacheStats, listCacheEntries } from './src/cache.js';
 import chalk from 'chalk';
-import fs from 'fs/promises';
-import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
 
 async function testFilesystemCache() {
   console.log(chalk.blue('🧪 Testing filesystem caching for context.json...\n'));
   
-  // Clean up any existing cache
-  const cacheFile = path.join('cache', 'context.json');
-  try {
-    await fs.unlink(cacheFile);
-    console.log(chalk.gray('🗑️  Removed existing cache file'));
-  } catch (error) {
-    // Cache file doesn't exist, that's fine
+  // Clean up any existing cache entry for context.json
+  const contextPath = 'ghost/i18n/locales/context.json';
+  const removed = await clearCache({ path: contextPath });
+  if (removed.entries > 0) {
+    console.log(chalk.gray('🗑️  Removed existing cache entry'));
   }
   
-  // First call - should fetch from GitHub and create cache
+  // First call - should fetch from GitHub and create a cache entry
   console.log(chalk.cyan('📞 Call 1: Should fetch from GitHub and cache'));
-  const result1 = await getOriginalFileContent('ghost/i18n/locales/context.json');
+  const result1 = await getOriginalFileContent(contextPath);
   console.log(chalk.green(`✅ Result 1: ${result1 ? result1.length : 0} characters\n`));
   
-  // Check if cache file was created
-  try {
-    const stats = await fs.stat(cacheFile);
-    console.log(chalk.green(`✅ Cache file created at: ${cacheFile}`));
-    console.log(chalk.gray(`   Size: ${stats.size} bytes, Modified: ${stats.mtime}\n`));
-  } catch (error) {
-    console.log(chalk.red(`❌ Cache file not created: ${error.message}\n`));
+  // Check if the cache entry was created
+  const entries = await listCacheEntries();
+  const entry = entries.find(e => e.path === contextPath);
+  if (entry) {
+    console.log(chalk.green(`✅ Cache entry created for ${entry.owner}/${entry.repo}/${entry.path}@${entry.ref}`));
+    console.log(chalk.gray(`   Size: ${entry.size} bytes, ETag: ${entry.etag}\n`));
+  } else {
+    console.log(chalk.red(`❌ Cache entry not created\n`));
   }
   
-  // Second call - should use cache
+  // Second call - should revalidate the cache with the ETag
   console.log(chalk.cyan('📞 Call 2: Should use cache'));
-  const result2 = await getOriginalFileContent('ghost/i18n/locales/context.json');
+  const result2 = await getOriginalFileContent(contextPath);
   console.log(chalk.green(`✅ Result 2: ${result2 ? result2.length : 0} characters\n`));
   
-  // Third call - should use cache
+  // Third call - should revalidate the cache with the ETag
   console.log(chalk.cyan('📞 Call 3: Should use cache'));
-  const result3 = await getOriginalFileContent('ghost/i18n/locales/context.json');
+  const result3 = await getOriginalFileContent(contextPath);
   console.log(chalk.green(`✅ Result 3: ${result3 ? result3.length : 0} characters\n`));
   
   // Verify results are identical
@@ -48,17 +49,11 @@ async function testFilesystemCache() {
     console.log(chalk.red('❌ Filesystem cache test failed! Results are not identical.'));
   }
   
-  // Show cache file info
-  try {
-    const stats = await fs.stat(cacheFile);
-    console.log(chalk.blue(`\n📁 Cache file info:`));
-    console.log(chalk.gray(`   Path: ${cacheFile}`));
-    console.log(chalk.gray(`   Size: ${stats.size} bytes`));
-    console.log(chalk.gray(`   Modified: ${stats.mtime}`));
-    console.log(chalk.gray(`   Age: ${Math.round((Date.now() - stats.mtime.getTime()) / 1000)} seconds`));
-  } catch (error) {
-    console.log(chalk.red(`❌ Could not read cache file: ${error.message}`));
-  }
+  // Show cache info
+  const stats = await getCacheStats();
+  console.log(chalk.blue(`\n📁 Cache info:`));
+  console.log(chalk.gray(`   Entries: ${stats.entries}`));
+  console.log(chalk.gray(`   Blobs: ${stats.blobs} (${stats.bytes} bytes)`));
 }
 
-testFilesystemCache().catch(console.error); 
\ No newline at end of file
+testFilesystemCache().catch(console.error);
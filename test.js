@@ -1,7 +1,7 @@
 import dotenv from 'dotenv';
 import { Octokit } from '@octokit/rest';
-import OpenAI from 'openai';
 import chalk from 'chalk';
+import { createProvider, resolveProviderConfig } from './src/providers/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -11,11 +11,13 @@ async function testSetup() {
 
   // Test environment variables
   console.log(chalk.cyan('📋 Checking environment variables...'));
+  const providerConfig = resolveProviderConfig();
   const requiredVars = [
     'GITHUB_TOKEN',
     'GITHUB_OWNER', 
     'GITHUB_REPO',
-    'OPENAI_API_KEY'
+    ...(providerConfig.provider === 'openai' ? ['OPENAI_API_KEY'] : []),
+    ...(providerConfig.provider === 'openai-compatible' ? ['LLM_BASE_URL'] : [])
   ];
 
   let allVarsPresent = true;
@@ -55,28 +57,22 @@ async function testSetup() {
     return;
   }
 
-  // Test OpenAI API
-  console.log(chalk.cyan('\n🤖 Testing OpenAI API connection...'));
+  // Test LLM provider
+  console.log(chalk.cyan(`\n🤖 Testing LLM provider (${providerConfig.provider}, ${providerConfig.model})...`));
   try {
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    const provider = createProvider(providerConfig);
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "user",
-          content: "Say 'Hello from Ghost i18n tooling!'"
-        }
-      ],
-      max_tokens: 10,
-    });
+    const response = await provider.complete([
+      {
+        role: "user",
+        content: "Reply with the JSON object {\"message\": \"Hello from Ghost i18n tooling!\"}"
+      }
+    ]);
 
-    console.log(chalk.green(`  ✅ OpenAI API: Connected successfully`));
-    console.log(chalk.gray(`     Response: ${completion.choices[0].message.content}`));
+    console.log(chalk.green(`  ✅ LLM provider: Connected successfully`));
+    console.log(chalk.gray(`     Response: ${response}`));
   } catch (error) {
-    console.log(chalk.red(`  ❌ OpenAI API: ${error.message}`));
+    console.log(chalk.red(`  ❌ LLM provider: ${error.message}`));
     return;
   }
 
@@ -0,0 +1,9 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from '../src/async-util.js';
+
+test('runs every item even when the limit is not a positive number', async () => {
+  for (const limit of [NaN, 0, -1, undefined]) {
+    assert.deepEqual(await mapWithConcurrency([1, 2, 3], limit, async item => item * 2), [2, 4, 6]);
+  }
+});
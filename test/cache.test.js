@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+process.env.I18N_CACHE_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-cache-'));
+
+const { fetchRepoFile, listCacheEntries, getCacheStats } = await import('../src/cache.js');
+
+after(() => fs.rm(process.env.I18N_CACHE_DIR, { recursive: true, force: true }));
+
+const SHA = '0123456789abcdef0123456789abcdef01234567';
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+/**
+ * An Octokit stand-in whose getContent answers from a queue and records its requests
+ */
+function fakeOctokit(...responses) {
+  const requests = [];
+  return {
+    requests,
+    repos: {
+      getContent: async request => {
+        requests.push(request);
+        const response = responses.shift();
+        if (response instanceof Error) {
+          throw response;
+        }
+        return response;
+      }
+    }
+  };
+}
+
+function fileResponse(content, { sha = 'blob1', etag = '"v1"' } = {}) {
+  return {
+    data: { type: 'file', sha, content: Buffer.from(content).toString('base64') },
+    headers: { etag }
+  };
+}
+
+test('serves files at a commit SHA from the cache without asking GitHub again', async () => {
+  const file = { owner: 'TryGhost', repo: 'Ghost', path: 'ghost/i18n/locales/de/portal.json', ref: SHA };
+  const octokit = fakeOctokit(fileResponse('{"Close": "Schließen"}'));
+
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: '{"Close": "Schließen"}', status: 'fetched' });
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: '{"Close": "Schließen"}', status: 'hit' });
+  assert.equal(octokit.requests.length, 1);
+});
+
+test('revalidates branch refs with the stored ETag', async () => {
+  const file = { owner: 'TryGhost', repo: 'Ghost', path: 'ghost/i18n/locales/de/search.json', ref: 'main' };
+  const octokit = fakeOctokit(fileResponse('{"Search": "Suche"}', { sha: 'blob2', etag: '"v2"' }), httpError(304));
+
+  assert.equal((await fetchRepoFile(octokit, file)).status, 'fetched');
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: '{"Search": "Suche"}', status: 'revalidated' });
+  assert.deepEqual(octokit.requests[0].headers, {});
+  assert.deepEqual(octokit.requests[1].headers, { 'if-none-match': '"v2"' });
+});
+
+test('falls back to stale content when GitHub cannot be reached', async () => {
+  const file = { owner: 'TryGhost', repo: 'Ghost', path: 'ghost/i18n/locales/de/search.json', ref: 'main' };
+  const octokit = fakeOctokit(httpError(500));
+
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: '{"Search": "Suche"}', status: 'stale' });
+});
+
+test('remembers files that do not exist at a commit SHA', async () => {
+  const file = { owner: 'TryGhost', repo: 'Ghost', path: 'ghost/i18n/locales/de/admin.json', ref: SHA };
+  const octokit = fakeOctokit(httpError(404));
+
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: null, status: 'fetched' });
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: null, status: 'hit' });
+  assert.equal(octokit.requests.length, 1);
+
+  const entry = (await listCacheEntries()).find(cached => cached.path === file.path);
+  assert.equal(entry.missing, true);
+  assert.equal((await getCacheStats()).missing, 1);
+});
+
+test('asks again for files missing on a branch, which can still be added', async () => {
+  const file = { owner: 'TryGhost', repo: 'Ghost', path: 'ghost/i18n/locales/de/comments.json', ref: 'main' };
+  const octokit = fakeOctokit(httpError(404), fileResponse('{"Reply": "Antworten"}', { sha: 'blob3' }));
+
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: null, status: 'fetched' });
+  assert.deepEqual(await fetchRepoFile(octokit, file), { content: '{"Reply": "Antworten"}', status: 'fetched' });
+});
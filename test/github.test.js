@@ -0,0 +1,106 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+process.env.GITHUB_OWNER = 'TryGhost';
+process.env.GITHUB_REPO = 'Ghost';
+
+// GitHub API stub: routes are matched on "METHOD path"
+let routes = [];
+const requests = [];
+globalThis.fetch = async (url, init = {}) => {
+  const method = (init.method || 'GET').toUpperCase();
+  const { pathname } = new URL(String(url));
+  requests.push({ method, pathname, body: init.body ? JSON.parse(init.body) : null });
+  const route = routes.find(([pattern]) => pattern.test(`${method} ${pathname}`));
+  const [status, body] = route ? route[1] : [404, { message: 'Not Found' }];
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+};
+
+const { postComments } = await import('../src/github.js');
+
+const filename = 'ghost/i18n/locales/de/portal.json';
+const content = '    "Close": "Schliessen",';
+
+async function writeReport() {
+  const report = {
+    prNumber: 1,
+    headSha: 'abc1234',
+    overallComment: null,
+    summary: { totalComments: 1, filesWithComments: 1 },
+    files: [{
+      filename,
+      changedLines: [{ type: 'added', content, diffPosition: 2, fileLineNumber: 5 }],
+      comments: [{ type: 'warning', filename, diffPosition: 2, message: 'Use ß in Schließen.' }]
+    }]
+  };
+  const reportFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-post-')), '1.json');
+  await fs.writeFile(reportFile, JSON.stringify(report));
+  return reportFile;
+}
+
+const readReport = async reportFile => JSON.parse(await fs.readFile(reportFile, 'utf8'));
+const createdReviews = () => requests.filter(request => request.method === 'POST' && request.pathname.endsWith('/reviews'));
+
+function stubPR({ existingComments = [], createReview = [200, { id: 1 }] } = {}) {
+  routes = [
+    [/^GET \/repos\/TryGhost\/Ghost\/pulls\/1$/, [200, { number: 1, head: { sha: 'abc1234' } }]],
+    [/^GET \/repos\/TryGhost\/Ghost\/pulls\/1\/reviews$/, [200, []]],
+    [/^GET \/repos\/TryGhost\/Ghost\/pulls\/1\/comments$/, [200, existingComments]],
+    [/^POST \/repos\/TryGhost\/Ghost\/pulls\/1\/reviews$/, createReview]
+  ];
+}
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+test('posts a draft review and marks the report as posted', async () => {
+  stubPR();
+  const reportFile = await writeReport();
+  const counts = await postComments(1, reportFile);
+  assert.equal(counts.posted, 1);
+  assert.equal(createdReviews().length, 1);
+  assert.equal((await readReport(reportFile)).posted.headSha, 'abc1234');
+});
+
+test('fails when GitHub rejects the review, without marking the report as posted', async () => {
+  stubPR({ createReview: [422, { message: 'Unprocessable Entity' }] });
+  const reportFile = await writeReport();
+  await assert.rejects(postComments(1, reportFile), /Failed to create\/update review/);
+  assert.equal((await readReport(reportFile)).posted, undefined);
+});
+
+test('recognizes its earlier comment by the marker after the line moved', async () => {
+  stubPR();
+  await postComments(1, await writeReport());
+  const [posted] = createdReviews()[0].body.comments;
+
+  // A push above the line moved it from line 5 to line 9
+  requests.length = 0;
+  stubPR({ existingComments: [{ id: 10, path: filename, line: 9, body: posted.body }] });
+  const counts = await postComments(1, await writeReport());
+  assert.equal(counts.posted, 0);
+  assert.equal(counts.alreadyPosted, 1);
+  assert.equal(createdReviews().length, 0);
+});
+
+test('recognizes comments posted before markers existed by path, line and body', async () => {
+  const legacy = { id: 11, path: filename, line: 5, body: '🤖 AI: Use ß in  Schließen.\n' };
+  stubPR({ existingComments: [legacy] });
+  assert.equal((await postComments(1, await writeReport())).alreadyPosted, 1);
+
+  // Without a marker, the same body on another line is a different comment
+  stubPR({ existingComments: [{ ...legacy, line: 6 }] });
+  assert.equal((await postComments(1, await writeReport())).posted, 1);
+});
+
+test('counts its comments on rewritten lines as outdated', async () => {
+  const marker = '<!-- ghost-i18n-tooling:0123456789abcdef -->';
+  stubPR({ existingComments: [{ id: 12, path: filename, line: null, body: `🤖 AI: Use ß in Schließen.\n\n${marker}` }] });
+  const counts = await postComments(1, await writeReport());
+  assert.equal(counts.outdated, 1);
+  assert.equal(counts.posted, 1);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGlossary } from '../src/glossary.js';
+import { checkGlossary } from '../src/checks/glossary.js';
+
+const addedLine = (content, english) => ({ type: 'added', content, diffPosition: 1, english });
+
+test('loads the seed glossary for German', async () => {
+  const glossary = await loadGlossary('de');
+  assert.deepEqual(glossary.member.approved, ['Mitglied']);
+  assert.ok(glossary.newsletter.forbidden.includes('Rundbrief'));
+});
+
+test('flags a forbidden rendering from the seed glossary', async () => {
+  const glossaries = new Map([['de', await loadGlossary('de')]]);
+  const comments = checkGlossary({
+    filename: 'ghost/i18n/locales/de/portal.json',
+    changedLines: [addedLine('    "Subscribe to the newsletter": "Abonniere den Rundbrief",', 'Subscribe to the newsletter')]
+  }, { glossaries });
+  assert.equal(comments.length, 1);
+  assert.match(comments[0].message, /"Rundbrief"/);
+});
+
+test('matches terms in the English source rather than the key', async () => {
+  const glossaries = new Map([['de', await loadGlossary('de')]]);
+  const check = line => checkGlossary({ filename: 'ghost/i18n/locales/de/portal.json', changedLines: [line] }, { glossaries });
+
+  const comments = check(addedLine('    "portal.cta": "Werde Teil der Community",', 'Become a member'));
+  assert.equal(comments.length, 1);
+  assert.match(comments[0].message, /"member"/);
+  assert.equal(check(addedLine('    "portal.cta": "Werde Mitglied",', 'Become a member')).length, 0);
+});
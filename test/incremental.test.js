@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { carryForwardTriage } from '../src/incremental.js';
+
+const filename = 'ghost/i18n/locales/de/portal.json';
+const line = (diffPosition, content) => ({ type: 'added', diffPosition, content, fileLineNumber: diffPosition });
+
+test('keeps the decisions on regenerated rule comments', () => {
+  const previousReport = {
+    files: [{
+      filename,
+      changedLines: [line(3, '    "Close": "Schließen"'), line(4, '    "Open": "öffnen"')],
+      comments: [
+        { type: 'warning', filename, diffPosition: 3, check: 'punctuation', message: 'Trailing period', triage: 'rejected' },
+        { type: 'info', filename, diffPosition: 4, check: 'punctuation', message: 'Edited by hand', originalMessage: 'Lost capital', originalType: 'warning', triage: 'accepted' }
+      ]
+    }]
+  };
+  // The lines moved in the diff after a push
+  const fileChanges = [{ filename, changedLines: [line(5, '    "Close": "Schließen"'), line(6, '    "Open": "öffnen"'), line(7, '    "New": "Neu"')] }];
+  const ruleComments = [
+    { type: 'warning', filename, diffPosition: 5, check: 'punctuation', message: 'Trailing period' },
+    { type: 'warning', filename, diffPosition: 6, check: 'punctuation', message: 'Lost capital' },
+    { type: 'warning', filename, diffPosition: 7, check: 'punctuation', message: 'Trailing period' }
+  ];
+
+  assert.equal(carryForwardTriage(previousReport, ruleComments, fileChanges), 2);
+  assert.equal(ruleComments[0].triage, 'rejected');
+  assert.equal(ruleComments[1].triage, 'accepted');
+  assert.equal(ruleComments[1].message, 'Edited by hand');
+  assert.equal(ruleComments[1].type, 'info');
+  assert.equal(ruleComments[2].triage, undefined);
+});
+
+test('does not match a different finding on the same line', () => {
+  const previousReport = {
+    files: [{
+      filename,
+      changedLines: [line(3, '    "Close": "Schließen"')],
+      comments: [{ type: 'warning', filename, diffPosition: 3, check: 'punctuation', message: 'Trailing period', triage: 'rejected' }]
+    }]
+  };
+  const ruleComments = [{ type: 'warning', filename, diffPosition: 3, check: 'glossary', message: 'Trailing period' }];
+  assert.equal(carryForwardTriage(previousReport, ruleComments, [{ filename, changedLines: [line(3, '    "Close": "Schließen"')] }]), 0);
+  assert.equal(ruleComments[0].triage, undefined);
+});
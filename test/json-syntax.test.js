@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonWithPositions, offsetToLineColumn } from '../src/json-parse.js';
+import { checkJsonSyntax } from '../src/checks/json-syntax.js';
+
+test('parses valid JSON to the same value as JSON.parse', () => {
+  const text = '{\n  "a": [1, -2.5e3, true, false, null],\n  "b": {"c": "d \\"e\\" \\u00e9\\n"}\n}';
+  assert.deepEqual(parseJsonWithPositions(text), { value: JSON.parse(text) });
+});
+
+test('reports syntax errors with their line and column', () => {
+  assert.deepEqual(parseJsonWithPositions('{\n  "a": "b",\n}').error,
+    { message: 'Trailing comma after the last entry', offset: 12, line: 2, column: 11 });
+  assert.deepEqual(parseJsonWithPositions('{\n  "a": "b"\n  "c": "d"\n}').error,
+    { message: 'Missing comma after this entry', offset: 12, line: 2, column: 11 });
+  assert.match(parseJsonWithPositions('{"a": "say "hi""}').error.message, /unescaped quote/);
+  assert.equal(parseJsonWithPositions('').error.message, 'Unexpected end of file');
+  assert.match(parseJsonWithPositions('{"a": "b"} x').error.message, /after the end of the JSON content/);
+});
+
+test('converts offsets to 1-based lines and columns', () => {
+  assert.deepEqual(offsetToLineColumn('ab\ncd', 0), { line: 1, column: 1 });
+  assert.deepEqual(offsetToLineColumn('ab\ncd', 4), { line: 2, column: 2 });
+});
+
+test('puts the syntax error on the closest added line', () => {
+  const fileChange = {
+    filename: 'ghost/i18n/locales/fr/portal.json',
+    currentFileContent: '{\n  "Close": "Fermer",\n  "Open": "Ouvrir",\n}',
+    changedLines: [
+      { type: 'added', content: '  "Close": "Fermer",', fileLineNumber: 2, diffPosition: 2 },
+      { type: 'removed', content: '  "Open": "Ouvrir"', diffPosition: 3 },
+      { type: 'added', content: '  "Open": "Ouvrir",', fileLineNumber: 3, diffPosition: 4 }
+    ]
+  };
+  const { error, comment } = checkJsonSyntax(fileChange);
+  assert.equal(error.line, 3);
+  assert.equal(comment.diffPosition, 4);
+  assert.equal(comment.type, 'error');
+  assert.equal(comment.check, 'json-syntax');
+  assert.match(comment.message, /Trailing comma after the last entry \(column \d+\)/);
+});
+
+test('accepts a valid file and a file without content', () => {
+  assert.equal(checkJsonSyntax({ filename: 'x.json', currentFileContent: '{"a": "b"}', changedLines: [] }), null);
+  assert.equal(checkJsonSyntax({ filename: 'x.json', currentFileContent: null, changedLines: [] }), null);
+});
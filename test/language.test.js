@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkLanguageOf } from '../src/checks/language.js';
+
+test('flags Russian in uk/ without ы, э or ё', () => {
+  for (const value of ['Ваша подписка будет продлена {date}', 'Войти в аккаунт', 'Настройки уведомлений', 'Поделиться']) {
+    assert.match(checkLanguageOf('x', value, 'uk', null) || '', /Russian rather than Ukrainian/, value);
+  }
+});
+
+test('does not flag Ukrainian, including strings without і, ї, є or ґ', () => {
+  for (const value of ['Ваша підписка буде продовжена {date}', 'Увійти в обліковий запис', 'Отримувати розсилку', 'Повернутися на головну', 'Безкоштовно', 'Поточний тариф']) {
+    assert.equal(checkLanguageOf('x', value, 'uk', null), null, value);
+  }
+});
+
+test('does not flag Russian in ru/', () => {
+  for (const value of ['Ваша подписка будет продлена {date}', 'Войти в аккаунт', 'Зарегистрироваться', 'Настройки уведомлений']) {
+    assert.equal(checkLanguageOf('x', value, 'ru', null), null, value);
+  }
+});
+
+test('flags a letter the locale does not use', () => {
+  assert.match(checkLanguageOf('Upgrade', 'Перейти на платный тариф', 'uk', null), /"ы" is not used in Ukrainian/);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitPatch, mergePatchFiles } from '../src/patch-source.js';
+
+const filename = 'ghost/i18n/locales/de/portal.json';
+
+function formatPatch(number, hunks) {
+  return [
+    `From 000000000000000000000000000000000000000${number} Mon Sep 17 00:00:00 2001`,
+    'From: Translator <translator@example.com>',
+    `Subject: [PATCH ${number}/2] Update portal.json`,
+    '',
+    '---',
+    ` ${filename} | 2 +-`,
+    '',
+    `diff --git a/${filename} b/${filename}`,
+    'index 1111111..2222222 100644',
+    `--- a/${filename}`,
+    `+++ b/${filename}`,
+    ...hunks,
+    '-- ',
+    '2.43.0',
+    ''
+  ].join('\n');
+}
+
+const addedLines = file => file.patch.split('\n').filter(line => line.startsWith('+'));
+
+test('splits a format-patch series without the mail signatures', () => {
+  const files = splitPatch(formatPatch(1, [
+    '@@ -2,3 +2,3 @@',
+    '     "Back": "Zurück",',
+    '-    "Close": "Schliessen",',
+    '+    "Close": "Schließen",',
+    '     "Open": "Öffnen"'
+  ]) + formatPatch(2, [
+    '@@ -10,2 +10,3 @@',
+    '     "Save": "Speichern",',
+    '+    "Send": "Senden",',
+    '     "Yes": "Ja"'
+  ]));
+
+  assert.equal(files.length, 2);
+  assert.equal(files[0].filename, filename);
+  assert.equal(files[0].status, 'modified');
+  assert.equal(files[0].additions, 1);
+  assert.equal(files[0].deletions, 1);
+  assert.ok(files[0].patch.startsWith('@@ -2,3 +2,3 @@'));
+  assert.ok(!files[0].patch.includes('2.43.0'));
+  assert.equal(files[1].additions, 1);
+});
+
+test('recognizes new files and keeps the no-newline marker with its hunk', () => {
+  const [file] = splitPatch([
+    'diff --git a/ghost/i18n/locales/xx/search.json b/ghost/i18n/locales/xx/search.json',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/ghost/i18n/locales/xx/search.json',
+    '@@ -0,0 +1,3 @@',
+    '+{',
+    '+    "Search": "Suche"',
+    '+}',
+    '\\ No newline at end of file'
+  ].join('\n'));
+
+  assert.equal(file.filename, 'ghost/i18n/locales/xx/search.json');
+  assert.equal(file.status, 'added');
+  assert.equal(file.additions, 3);
+  assert.ok(file.patch.endsWith('\\ No newline at end of file'));
+});
+
+test('keeps the added lines of every patch that touches a file', () => {
+  const files = mergePatchFiles(splitPatch(formatPatch(1, [
+    '@@ -2,3 +2,3 @@',
+    '     "Back": "Zurück",',
+    '-    "Close": "Schliessen",',
+    '+    "Close": "Schließen",',
+    '     "Open": "Öffnen"'
+  ]) + formatPatch(2, [
+    '@@ -1,2 +1,3 @@',
+    ' {',
+    '+    "About": "Über",',
+    '     "Back": "Zurück",'
+  ])));
+
+  assert.equal(files.length, 1);
+  assert.equal(files[0].mergedPatches, 2);
+  assert.equal(files[0].additions, 2);
+  // The second patch inserted a line above the first patch's change, which moves it down
+  assert.deepEqual(files[0].patch.split('\n'), [
+    '@@ -1,0 +2,1 @@',
+    '+    "About": "Über",',
+    '@@ -3,0 +4,1 @@',
+    '+    "Close": "Schließen",'
+  ]);
+});
+
+test('drops added lines that a later patch rewrites', () => {
+  const [file] = mergePatchFiles(splitPatch(formatPatch(1, [
+    '@@ -2,3 +2,3 @@',
+    '     "Back": "Zurück",',
+    '-    "Close": "Schliessen",',
+    '+    "Close": "Schliesen",',
+    '     "Open": "Öffnen"'
+  ]) + formatPatch(2, [
+    '@@ -2,3 +2,3 @@',
+    '     "Back": "Zurück",',
+    '-    "Close": "Schliesen",',
+    '+    "Close": "Schließen",',
+    '     "Open": "Öffnen"'
+  ])));
+
+  assert.deepEqual(addedLines(file), ['+    "Close": "Schließen",']);
+  assert.equal(file.deletions, 2);
+});
+
+test('leaves files touched by a single patch unchanged', () => {
+  const files = splitPatch(formatPatch(1, [
+    '@@ -2,3 +2,3 @@',
+    '     "Back": "Zurück",',
+    '-    "Close": "Schliessen",',
+    '+    "Close": "Schließen",',
+    '     "Open": "Öffnen"'
+  ]));
+
+  assert.deepEqual(mergePatchFiles(files), files);
+});
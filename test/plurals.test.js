@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPlurals } from '../src/checks/plurals.js';
+
+function pluralChange(locale, variants) {
+  const entries = Object.entries(variants);
+  return {
+    filename: `ghost/i18n/locales/${locale}/portal.json`,
+    changedLines: entries.map(([key, value], index) => ({
+      type: 'added',
+      content: `    "${key}": "${value}",`,
+      diffPosition: index + 1
+    })),
+    currentFileContent: JSON.stringify(variants),
+    englishFileContent: JSON.stringify({ '{count} members_one': '', '{count} members_other': '' })
+  };
+}
+
+test('a missing French _many is a warning', () => {
+  const comments = checkPlurals(pluralChange('fr', { '{count} members_one': '{count} membre', '{count} members_other': '{count} membres' }));
+  assert.deepEqual(comments.map(comment => comment.type), ['warning']);
+  assert.match(comments[0].message, /`_many`/);
+});
+
+test('a missing Polish _many is an error', () => {
+  const comments = checkPlurals(pluralChange('pl', { '{count} members_one': '{count} członek', '{count} members_few': '{count} członków', '{count} members_other': '{count} członka' }));
+  assert.deepEqual(comments.map(comment => comment.type), ['error']);
+  assert.match(comments[0].message, /`_many`/);
+});
+
+test('a missing French _many is only mentioned when the PR adds _one or _other', () => {
+  const change = pluralChange('fr', { '{count} members_zero': 'Aucun membre' });
+  change.currentFileContent = JSON.stringify({
+    '{count} members_zero': 'Aucun membre',
+    '{count} members_one': '{count} membre',
+    '{count} members_other': '{count} membres'
+  });
+  assert.deepEqual(checkPlurals(change), []);
+
+  change.changedLines[0].content = '    "{count} members_other": "{count} membres",';
+  assert.deepEqual(checkPlurals(change).map(comment => comment.type), ['warning']);
+});
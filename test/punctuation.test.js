@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparePunctuation, getPunctuationSettings } from '../src/checks/punctuation.js';
+
+test('does not check casing by default', () => {
+  assert.deepEqual(comparePunctuation('Sign in', 'нэвтрэх', getPunctuationSettings(null, 'mn')), []);
+});
+
+test('skips casing for values that start with a placeholder', () => {
+  const settings = { ...getPunctuationSettings(null, 'mn'), casing: true };
+  assert.deepEqual(comparePunctuation('Sign-in link for {siteTitle}', '{siteTitle}-д нэвтрэх холбоос', settings), []);
+  assert.equal(comparePunctuation('Sign in', 'нэвтрэх', settings).length, 1);
+});
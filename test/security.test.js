@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanTranslation } from '../src/checks/security.js';
+
+test('allows a localized address on a reserved example domain', () => {
+  assert.deepEqual(scanTranslation('jamie@example.com', 'нэр@example.com'), []);
+  assert.deepEqual(scanTranslation('Email jamie@example.com', 'E-Mail an max@beispiel.example'), []);
+});
+
+test('allows a localized address on a domain the English uses', () => {
+  assert.deepEqual(scanTranslation('Write to support@ghost.org', 'Écrivez à aide@ghost.org'), []);
+});
+
+test('flags an address the English does not have', () => {
+  const problems = scanTranslation('Contact us', 'Kontaktieren Sie evil@attacker.ru');
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /evil@attacker\.ru/);
+});
+
+test('does not treat lookalikes of example domains as reserved', () => {
+  assert.equal(scanTranslation('jamie@example.com', 'jamie@notexample.com').length, 1);
+  assert.equal(scanTranslation('jamie@example.com', 'jamie@example.com.evil.io').length, 1);
+});
+
+test('does not treat the word "Data:" as a data URL', () => {
+  assert.deepEqual(scanTranslation('Date: {date}', 'Data: {date}'), []);
+});
+
+test('flags script and data URLs', () => {
+  assert.match(scanTranslation('Read more', 'Leia mais javascript:alert(1)')[0], /script code/);
+  assert.match(scanTranslation('Read more', 'Leia mais data:text/html;base64,PHNjcmlwdD4=')[0], /script code/);
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.GITHUB_OWNER = 'TryGhost';
+process.env.GITHUB_REPO = 'Ghost';
+
+// Requests to the server go through the real fetch; GitHub only sees a PR without locale files
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, init) => {
+  if (String(url).startsWith('http://127.0.0.1')) {
+    return realFetch(url, init);
+  }
+  const files = [{ filename: 'ghost/core/index.js', status: 'modified', patch: '' }];
+  return new Response(JSON.stringify(files), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+const { createWebhookServer, verifySignature } = await import('../src/server.js');
+
+const SECRET = 'webhook-secret';
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createWebhookServer({ secret: SECRET, dryRun: true });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+async function deliver(payload, { event = 'pull_request', signature } = {}) {
+  const body = JSON.stringify(payload);
+  const response = await fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    body,
+    headers: {
+      'content-type': 'application/json',
+      'x-github-event': event,
+      ...(signature === null ? {} : { 'x-hub-signature-256': signature || sign(body) })
+    }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const pullRequest = number => ({
+  action: 'synchronize',
+  number,
+  pull_request: { number, head: { sha: 'abc1234' } },
+  repository: { full_name: 'TryGhost/Ghost' }
+});
+
+const listJobs = async () => (await (await fetch(`${baseUrl}/jobs`)).json()).jobs;
+
+test('verifySignature accepts only the HMAC of the exact body', () => {
+  const body = Buffer.from('{"zen":"Keep it logically awesome."}');
+  assert.equal(verifySignature(body, sign(body), SECRET), true);
+  assert.equal(verifySignature(body, sign(body, 'other-secret'), SECRET), false);
+  assert.equal(verifySignature(Buffer.from('{}'), sign(body), SECRET), false);
+  assert.equal(verifySignature(body, sign(body).replace('sha256=', 'sha1='), SECRET), false);
+  assert.equal(verifySignature(body, undefined, SECRET), false);
+});
+
+test('rejects deliveries with a missing or wrong signature', async () => {
+  assert.equal((await deliver(pullRequest(1), { signature: null })).status, 401);
+  assert.equal((await deliver(pullRequest(1), { signature: sign('{}', 'other-secret') })).status, 401);
+  assert.deepEqual(await listJobs(), []);
+});
+
+test('rejects pull_request events without a valid PR number', async () => {
+  for (const number of [undefined, 0, -3, 1.5, '12']) {
+    const payload = { ...pullRequest(number), pull_request: { head: { sha: 'abc1234' } } };
+    const response = await deliver(payload);
+    assert.equal(response.status, 400, `PR number ${number}`);
+    assert.deepEqual(response.body, { error: 'The payload has no valid pull request number' });
+  }
+  assert.deepEqual(await listJobs(), []);
+});
+
+test('queues a job for a signed pull_request delivery', async () => {
+  assert.deepEqual(await deliver({ zen: 'Hi' }, { event: 'ping' }), { status: 200, body: { ok: true } });
+
+  const response = await deliver(pullRequest(7));
+  assert.equal(response.status, 202);
+  assert.equal(response.body.job.prNumber, 7);
+  assert.equal(response.body.job.headSha, 'abc1234');
+
+  const jobs = await listJobs();
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].id, response.body.job.id);
+});
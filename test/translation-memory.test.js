@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GITHUB_OWNER = 'TryGhost';
+process.env.GITHUB_REPO = 'Ghost';
+
+// main moves from commit aaa to bbb between the second and third build
+const commits = ['aaa', 'aaa', 'bbb'];
+globalThis.fetch = async url => {
+  const { pathname } = new URL(String(url));
+  if (pathname.startsWith('/repos/TryGhost/Ghost/commits/')) {
+    return new Response(commits.shift(), { status: 200, headers: { 'content-type': 'text/plain' } });
+  }
+  // No namespaces, so the memory is built without fetching locale files
+  return new Response('[]', { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+const { buildTranslationMemory } = await import('../src/translation-memory.js');
+
+test('reuses the memory only while main points at the same commit', async () => {
+  const first = await buildTranslationMemory('fr', { ref: 'main' });
+  const second = await buildTranslationMemory('fr', { ref: 'main' });
+  const third = await buildTranslationMemory('fr', { ref: 'main' });
+  assert.equal(second, first);
+  assert.notEqual(third, first);
+});